@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Copy pricing documents between storage backends, e.g. to seed the SQLite
+ * store from the JSON files or export it back to them.
+ *
+ * Usage:
+ *   npm run pricing:copy -- --from file --to sqlite [version ...]
+ *
+ * Without versions, every registered version is copied. Documents that fail
+ * validation are skipped. Exits with status 1 when any version was skipped.
+ */
+import { parseArgs } from 'util';
+import { writeReport } from './lib/report.js';
+import config from '../src/config/index.js';
+import PricingModel from '../src/models/PricingModel.js';
+import { createPricingStore, STORAGE_DRIVERS } from '../src/models/storage/index.js';
+import { getVersionNames } from '../src/utils/helpers.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: 'string', default: 'file' },
+    to: { type: 'string', default: 'sqlite' }
+  }
+});
+
+if (values.from === values.to || ![values.from, values.to].every(driver => STORAGE_DRIVERS.includes(driver))) {
+  console.error(`Usage: npm run pricing:copy -- --from <${STORAGE_DRIVERS.join('|')}> --to <${STORAGE_DRIVERS.join('|')}> [version ...]`);
+  process.exit(2);
+}
+
+const source = createPricingStore({ ...config.storage, driver: values.from });
+const target = createPricingStore({ ...config.storage, driver: values.to });
+const model = new PricingModel({ store: source });
+const lines = [];
+let skipped = 0;
+
+for (const version of positionals.length > 0 ? positionals : getVersionNames()) {
+  try {
+    const document = await source.read(version);
+    const errors = model.getValidationErrors(document);
+
+    if (errors.length > 0) {
+      skipped++;
+      lines.push(`✗ ${version}: ${source.describe(version)} is invalid, skipped`);
+      lines.push(...errors.map(({ path, message }) => `    ${path} ${message}`));
+      continue;
+    }
+
+    await target.write(version, document);
+    lines.push(`✓ ${version}: ${source.describe(version)} -> ${target.describe(version)} (${document.plans.length} plans)`);
+  } catch (error) {
+    skipped++;
+    lines.push(`✗ ${version}: ${error.message}`);
+  }
+}
+
+source.close();
+target.close();
+
+writeReport(lines);
+process.exit(skipped === 0 ? 0 : 1);
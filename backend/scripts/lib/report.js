@@ -0,0 +1,21 @@
+import { setInfoLogStream } from '../../src/utils/log.js';
+
+// Import this before any service module: service logs go to stderr so
+// stdout only carries the report
+setInfoLogStream(process.stderr);
+
+/**
+ * Write a report to stdout
+ * @param {Array<string>} lines
+ */
+export const writeReport = (lines) => {
+  process.stdout.write(`${lines.join('\n')}\n`);
+};
+
+/**
+ * Write a report to stdout as JSON
+ * @param {*} value
+ */
+export const writeJsonReport = (value) => {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+};
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Check pricing files against the pricing schema.
+ *
+ * Usage:
+ *   npm run lint:pricing -- [file.json ...] [--json]
+ *
+ * Without files, the stored pricing document of every registered version is
+ * checked, in the storage selected by PRICING_STORAGE. Exits with status 1
+ * when any document has errors.
+ */
+import path from 'path';
+import { parseArgs } from 'util';
+import { writeJsonReport, writeReport } from './lib/report.js';
+import PricingModel from '../src/models/PricingModel.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    json: { type: 'boolean', default: false }
+  }
+});
+
+const pricingModel = new PricingModel();
+const results = {};
+
+if (positionals.length > 0) {
+  for (const file of positionals) {
+    const errors = await pricingModel.validatePricingFile(path.resolve(file));
+    results[file] = { source: file, valid: errors.length === 0, errors };
+  }
+} else {
+  Object.assign(results, await pricingModel.validateAllVersions());
+}
+
+const failed = Object.values(results).filter(({ valid }) => !valid);
+
+if (values.json) {
+  writeJsonReport(results);
+} else {
+  const lines = [];
+  for (const [name, { source, valid, errors }] of Object.entries(results)) {
+    lines.push(`${valid ? '✓' : '✗'} ${name === source ? source : `${name} (${source})`}`);
+    for (const error of errors) {
+      lines.push(`    ${error.path} ${error.message}`);
+    }
+  }
+  lines.push('', failed.length === 0
+    ? `${Object.keys(results).length} pricing document(s) valid`
+    : `${failed.length} of ${Object.keys(results).length} pricing document(s) have errors`);
+  writeReport(lines);
+}
+
+process.exit(failed.length === 0 ? 0 : 1);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Replay requests through a candidate routing-rules.json and compare the
+ * result with the configuration currently in effect.
+ *
+ * Usage:
+ *   npm run simulate -- <candidate.json> [--requests sample.json] [--population options.json]
+ *                       [--size 1000] [--seed 1] [--server http://localhost:3001] [--json]
+ *
+ * --requests takes a JSON array of { ip, headers, cookies, query } requests.
+ * Without it a synthetic population is generated (see --population, --size, --seed).
+ *
+ * --server runs the simulation on a running server through
+ * POST /admin/routing/simulate (with ADMIN_API_TOKEN from the environment),
+ * so its rollout progress, automatic rollback, cutover and kill switch are
+ * taken into account. Without it the simulation runs in this process, from
+ * routing-rules.json and the environment only.
+ */
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { writeJsonReport, writeReport } from './lib/report.js';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    requests: { type: 'string' },
+    population: { type: 'string' },
+    size: { type: 'string' },
+    seed: { type: 'string' },
+    server: { type: 'string' },
+    json: { type: 'boolean', default: false }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: npm run simulate -- <candidate.json> [--requests sample.json] ' +
+                '[--population options.json] [--size 1000] [--seed 1] [--server url] [--json]');
+  process.exit(2);
+}
+
+/**
+ * Run the simulation on a running server, against its live routing state
+ * @param {string} server - Base URL of the server
+ * @param {Object} body - { rules, requests, population }
+ * @returns {Promise<Object>} The simulation report
+ */
+async function simulateOnServer(server, body) {
+  const response = await fetch(new URL('/admin/routing/simulate', server), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.ADMIN_API_TOKEN && { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` })
+    },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    const error = new Error(`${result.error?.message || 'Request failed'} (HTTP ${response.status})`);
+    error.errors = result.error?.details;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Run the simulation in this process, without the runtime state of a server
+ * @param {Object} candidate - Candidate routing rules
+ * @param {Object} options - { requests, population }
+ * @returns {Promise<Object>} The simulation report
+ */
+async function simulateLocally(candidate, options) {
+  const { default: RoutingService } = await import('../src/services/RoutingService.js');
+  const { default: RoutingSimulator } = await import('../src/services/RoutingSimulator.js');
+
+  console.error('Note: simulating without a running server. Rollout progress, automatic rollback, ' +
+                'cutover and kill switch state are not included; use --server to include them.');
+
+  return new RoutingSimulator(new RoutingService()).simulate(candidate, options);
+}
+
+try {
+  const candidate = readJson(positionals[0]);
+  const requests = values.requests ? readJson(values.requests) : undefined;
+  const population = {
+    ...(values.population ? readJson(values.population) : {}),
+    ...(values.size ? { size: parseInt(values.size) } : {}),
+    ...(values.seed ? { seed: parseInt(values.seed) } : {})
+  };
+
+  const report = values.server
+    ? await simulateOnServer(values.server, { rules: candidate, requests, population })
+    : await simulateLocally(candidate, { requests, population });
+
+  if (values.json) {
+    writeJsonReport(report);
+  } else {
+    const lines = [`Simulated ${report.requests} requests (${report.source})`, ''];
+    for (const side of ['current', 'candidate']) {
+      lines.push(`${side}:`);
+      for (const [version, { count, percentage }] of Object.entries(report[side].distribution)) {
+        lines.push(`  ${version.padEnd(12)} ${String(count).padStart(7)}  ${percentage}%`);
+      }
+    }
+    lines.push('', `Moved: ${report.changes.moved} (${report.changes.movedPercentage}%)`);
+    for (const [transition, count] of Object.entries(report.changes.transitions)) {
+      lines.push(`  ${transition.padEnd(24)} ${count}`);
+    }
+    lines.push(`Sticky users: ${report.changes.stickyUsers}, ` +
+               `moved: ${report.changes.stickyMoved}, reassigned: ${report.changes.stickyReassigned}`);
+    writeReport(lines);
+  }
+} catch (error) {
+  console.error(`Simulation failed: ${error.message}`);
+  for (const detail of error.errors || []) {
+    console.error(`  - ${detail}`);
+  }
+  process.exit(1);
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Local stand-ins for the blue and green upstream servers used in
+ * reverse-proxy mode. Each stub serves /health and its version's pricing data.
+ *
+ * Usage:
+ *   npm run stub-upstreams -- [--delay 0] [version=port ...]
+ *
+ * Without arguments every version with a localhost upstream in
+ * routing-rules.json is started on that upstream's port.
+ * --delay adds latency (ms) to every non-health response, to try timeouts.
+ */
+import http from 'http';
+import { parseArgs } from 'util';
+import config from '../src/config/index.js';
+import PricingModel from '../src/models/PricingModel.js';
+
+const pricingModel = new PricingModel();
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    delay: { type: 'string', default: '0' }
+  }
+});
+
+const delay = parseInt(values.delay) || 0;
+const targets = positionals.length > 0
+  ? positionals.map(arg => {
+    const [name, port] = arg.split('=');
+    return { name, port: parseInt(port) };
+  })
+  : config.versions
+    .filter(({ upstream }) => upstream && ['localhost', '127.0.0.1'].includes(new URL(upstream).hostname))
+    .map(({ name, upstream }) => ({ name, port: parseInt(new URL(upstream).port) || 80 }));
+
+for (const { name, port } of targets) {
+  const version = config.versions.find(entry => entry.name === name);
+  if (!version || !port) {
+    console.error(`Skipping ${name}: unknown version or missing port`);
+    continue;
+  }
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/health') {
+      return send(200, { status: 'healthy', version: name });
+    }
+
+    setTimeout(async () => {
+      try {
+        const pricing = await pricingModel.getPricingData(name);
+        send(200, { success: true, data: pricing, upstream: { method: req.method, path: req.url } });
+      } catch (error) {
+        send(500, { success: false, error: { message: error.message } });
+      }
+    }, delay);
+  });
+
+  server.listen(port, () => console.error(`[STUB] ${name} upstream listening on http://localhost:${port}`));
+}
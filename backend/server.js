@@ -2,15 +2,18 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
-import config from './src/config/index.js';
+import config, { watchRoutingRules } from './src/config/index.js';
 import pricingRoutes from './src/routes/pricingRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
 import { requestLogger, pricingLogger, errorLogger } from './src/middleware/logger.js';
+import upstreamProxy, { isProxiedRequest } from './src/middleware/upstreamProxy.js';
+import { pricingModel, upstreamHealth } from './src/services/liveRouting.js';
 import { getMemoryUsage } from './src/utils/helpers.js';
 
 const app = express();
 
-// Trust proxy for accurate IP addresses
-app.set('trust proxy', true);
+// Trust only the configured proxies for client IP addresses
+app.set('trust proxy', config.server.trustProxy);
 
 // CORS - MUST BE FIRST (before any other middleware)
 const corsOptions = {
@@ -32,17 +35,19 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
     'X-Requested-With',
     'X-Request-ID',
     'X-Version',
+    'X-Admin-User',
+    'X-User-Id',
     'Accept',
     'Origin'
   ],
-  exposedHeaders: ['Content-Length', 'X-Request-ID', 'X-Version-Served'],
+  exposedHeaders: ['Content-Length', 'X-Request-ID', 'X-Version-Served', 'Retry-After'],
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 200
 };
@@ -67,9 +72,12 @@ app.use(helmet({
   },
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (proxied requests keep their raw body for the upstream)
+const unlessProxied = (middleware) => (req, res, next) =>
+  isProxiedRequest(req) ? next() : middleware(req, res, next);
+
+app.use(unlessProxied(express.json({ limit: '10mb' })));
+app.use(unlessProxied(express.urlencoded({ extended: true, limit: '10mb' })));
 app.use(cookieParser());
 
 // Request ID middleware
@@ -85,6 +93,9 @@ if (config.logging.enableRequestLogging) {
 }
 app.use(pricingLogger);
 
+// Reverse-proxy mode: forward requests to the blue/green upstream servers
+app.use(upstreamProxy);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -96,13 +107,16 @@ app.get('/', (req, res) => {
     endpoints: {
       pricing: '/pricing',
       stats: '/pricing/stats',
-      health: '/pricing/health'
+      health: '/pricing/health',
+      versions: '/pricing/versions',
+      adminRouting: '/admin/routing'
     }
   });
 });
 
 // API routes
 app.use('/pricing', pricingRoutes);
+app.use('/admin', adminRoutes);
 
 // System info endpoint
 app.get('/system', (req, res) => {
@@ -154,12 +168,21 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
+  if (stopWatchingRoutingRules) {
+    stopWatchingRoutingRules();
+  }
+  if (stopWatchingPricingData) {
+    stopWatchingPricingData();
+  }
+  upstreamHealth.stop();
+  
   server.close((err) => {
     if (err) {
       console.error('Error during server shutdown:', err);
       process.exit(1);
     }
     
+    pricingModel.store.close();
     console.log('Server closed successfully');
     process.exit(0);
   });
@@ -171,6 +194,10 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
+// Hot reload of routing-rules.json and the pricing data
+let stopWatchingRoutingRules = null;
+let stopWatchingPricingData = null;
+
 // Start server
 const server = app.listen(config.server.port, () => {
   console.log('\n==========================================');
@@ -182,8 +209,33 @@ const server = app.listen(config.server.port, () => {
   console.log(`📈 Stats: http://localhost:${config.server.port}/pricing/stats`);
   console.log(`⚙️  System: http://localhost:${config.server.port}/system`);
   console.log('\n🎯 Routing Configuration:');
-  console.log(`   Split: ${config.routing.percentage.blue}%/${config.routing.percentage.green}%`);
+  console.log(`   Versions: ${config.versions.map(version => version.name).join(', ')}`);
+  console.log(`   Split: ${config.versions.map(({ name }) => `${name} ${config.routing.percentage[name] || 0}%`).join(' / ')}`);
   console.log(`   Rules: ${Object.keys(config.routing).filter(key => config.routing[key]?.enabled).join(', ')}`);
+  
+  if (config.hotReload.enabled) {
+    stopWatchingRoutingRules = watchRoutingRules();
+    console.log('   Hot reload: watching routing-rules.json');
+  }
+  console.log(`   Pricing storage: ${config.storage.driver}`);
+  if (config.hotReload.pricingData) {
+    stopWatchingPricingData = pricingModel.watchPricingData();
+    console.log('   Hot reload: watching pricing data');
+  }
+
+  // Report broken pricing files now rather than on the first request routed to them
+  pricingModel.validateAllVersions().then(results => {
+    for (const [version, { source, errors }] of Object.entries(results)) {
+      for (const { path, message } of errors) {
+        console.error(`[PRICING_VALIDATION] ${version} (${source}): ${path} ${message}`);
+      }
+    }
+  });
+
+  upstreamHealth.start();
+  if (config.routing.proxy.enabled) {
+    console.log(`   Proxy: ${config.routing.proxy.mountPath} -> ${config.versions.map(({ name, upstream }) => `${name} ${upstream}`).join(', ')}`);
+  }
   console.log('\n✅ Server ready to accept connections');
   console.log('==========================================\n');
 });
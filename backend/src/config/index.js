@@ -1,62 +1,269 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { logInfo } from '../utils/log.js';
+import { validateRoutingRules } from './validateRoutingRules.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load routing rules from JSON file
-let routingRules = {};
-try {
-  const routingRulesPath = path.join(__dirname, 'routing-rules.json');
-  const routingRulesData = fs.readFileSync(routingRulesPath, 'utf8');
-  routingRules = JSON.parse(routingRulesData);
-} catch (error) {
-  console.error('Error loading routing rules:', error);
-  // Fallback configuration
-  routingRules = {
-    routingRules: {
-      percentage: { enabled: true, blue: 70, green: 30 },
-      header: { enabled: true, headerName: 'X-Version', blueValue: 'blue', greenValue: 'green' },
-      cookie: { enabled: true, cookieName: 'pricing-version', maxAge: 86400000 },
-      ip: { enabled: true, blueIps: [], greenIps: [] }
-    },
-    stickySession: { enabled: true, cookieName: 'session-version' },
-    priority: ['header', 'cookie', 'ip', 'percentage']
-  };
-}
+const routingRulesPath = path.join(__dirname, 'routing-rules.json');
 
-const config = {
-  server: {
-    port: process.env.PORT || 3001,
-    env: process.env.NODE_ENV || 'development'
+// Fallback configuration
+const fallbackRoutingRules = {
+  versions: {
+    blue: { pricingFile: 'blue-pricing.json', label: 'Blue', stable: true },
+    green: { pricingFile: 'green-pricing.json', label: 'Green' }
+  },
+  defaultVersion: 'blue',
+  routingRules: {
+    percentage: { enabled: true, blue: 70, green: 30 },
+    header: { enabled: true, headerName: 'X-Version', blueValue: 'blue', greenValue: 'green' },
+    cookie: { enabled: true, cookieName: 'pricing-version', maxAge: 86400000 },
+    ip: { enabled: true, blueIps: [], greenIps: [] }
   },
-  routing: {
-    ...routingRules.routingRules,
-    stickySession: routingRules.stickySession,
-    priority: routingRules.priority,
+  autoRollback: { enabled: false },
+  stickySession: { enabled: true, cookieName: 'session-version' },
+  priority: ['header', 'cookie', 'ip', 'percentage']
+};
+
+/**
+ * Read and validate routing-rules.json
+ * @returns {Object} Parsed routing rules
+ * @throws {Error} With an `errors` list when the file is unreadable or invalid
+ */
+const readRoutingRulesFile = () => {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(routingRulesPath, 'utf8'));
+  } catch (error) {
+    const loadError = new Error(`Cannot parse ${path.basename(routingRulesPath)}: ${error.message}`);
+    loadError.errors = [error.message];
+    throw loadError;
+  }
+
+  const errors = validateRoutingRules(rules);
+  if (errors.length > 0) {
+    const validationError = new Error(`Invalid ${path.basename(routingRulesPath)}: ${errors.join('; ')}`);
+    validationError.errors = errors;
+    throw validationError;
+  }
+
+  return rules;
+};
+
+/**
+ * Build the registered version list from routing rules
+ * @param {Object} rules
+ * @returns {Array<Object>} Versions, in the order used for percentage buckets
+ */
+export const buildVersions = (rules) => {
+  return Object.entries(rules.versions || {}).map(([name, version]) => ({
+    name,
+    label: version.label || name,
+    pricingFile: version.pricingFile || `${name}-pricing.json`,
+    stable: version.stable === true,
+    upstream: version.upstream || null
+  }));
+};
+
+/**
+ * Build the effective routing configuration, applying environment overrides
+ * @param {Object} rules
+ * @param {Array<Object>} versions
+ * @returns {Object}
+ */
+export const buildRoutingConfig = (rules, versions) => {
+  const { percentage = {}, header = {}, cookie = {}, ip = {}, geo = {}, query = {} } = rules.routingRules;
+
+  const defaultVersion = rules.defaultVersion ||
+    versions.find(version => version.stable)?.name ||
+    versions[0]?.name;
+
+  // Per-version split, overridable with <VERSION>_PERCENTAGE (e.g. BLUE_PERCENTAGE)
+  const percentageSplit = versions.reduce((split, { name }) => {
+    const envValue = parseInt(process.env[`${name.toUpperCase()}_PERCENTAGE`]);
+    split[name] = envValue || percentage[name] || 0;
+    return split;
+  }, {});
+
+  return {
+    ...rules.routingRules,
+    defaultVersion,
+    stickySession: rules.stickySession,
+    autoRollback: {
+      enabled: false,
+      errorRateThreshold: 0.1,
+      latencyThresholdMs: 2000,
+      minRequests: 20,
+      windowMs: 60000,
+      ...rules.autoRollback,
+      stableVersion: rules.autoRollback?.stableVersion || defaultVersion
+    },
+    shadow: {
+      enabled: false,
+      sampleRate: 1,
+      windowMs: 60000,
+      ...rules.shadow,
+      stableVersion: rules.shadow?.stableVersion || defaultVersion
+    },
+    cutover: {
+      drainWindowMs: 30 * 60 * 1000,
+      sessionIdleMs: 5 * 60 * 1000,
+      ...rules.cutover
+    },
+    proxy: {
+      enabled: false,
+      mountPath: '/app',
+      timeoutMs: 5000,
+      requestTimeoutMs: 30000,
+      retryOnConnectionError: true,
+      maxBodyBytes: 1024 * 1024,
+      ...rules.proxy,
+      healthCheck: {
+        enabled: true,
+        path: '/health',
+        intervalMs: 10000,
+        timeoutMs: 2000,
+        unhealthyThreshold: 2,
+        ...rules.proxy?.healthCheck
+      }
+    },
+    priority: rules.priority,
     // Override from environment variables if available
     percentage: {
-      ...routingRules.routingRules.percentage,
-      blue: parseInt(process.env.BLUE_PERCENTAGE) || routingRules.routingRules.percentage.blue,
-      green: parseInt(process.env.GREEN_PERCENTAGE) || routingRules.routingRules.percentage.green,
-      enabled: process.env.ENABLE_PERCENTAGE_ROUTING === 'true' || routingRules.routingRules.percentage.enabled
+      ...percentage,
+      ...percentageSplit,
+      enabled: process.env.ENABLE_PERCENTAGE_ROUTING === 'true' || percentage.enabled,
+      // Without a bucketing block clients keep the original IP/User-Agent buckets
+      bucketing: {
+        keys: ['fingerprint'],
+        userIdHeader: 'X-User-Id',
+        anonymousCookie: 'pricing-anon-id',
+        anonymousCookieMaxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
+        salt: '',
+        ...percentage.bucketing
+      }
     },
     header: {
-      ...routingRules.routingRules.header,
-      enabled: process.env.ENABLE_HEADER_ROUTING === 'true' || routingRules.routingRules.header.enabled
+      ...header,
+      enabled: process.env.ENABLE_HEADER_ROUTING === 'true' || header.enabled
     },
     cookie: {
-      ...routingRules.routingRules.cookie,
-      enabled: process.env.ENABLE_COOKIE_ROUTING === 'true' || routingRules.routingRules.cookie.enabled
+      ...cookie,
+      enabled: process.env.ENABLE_COOKIE_ROUTING === 'true' || cookie.enabled
     },
     ip: {
-      ...routingRules.routingRules.ip,
-      enabled: process.env.ENABLE_IP_ROUTING === 'true' || routingRules.routingRules.ip.enabled
+      ...ip,
+      enabled: process.env.ENABLE_IP_ROUTING === 'true' || ip.enabled
+    },
+    geo: {
+      countryHeader: null,
+      database: null,
+      countries: {},
+      regions: {},
+      ...geo,
+      enabled: process.env.ENABLE_GEO_ROUTING === 'true' || Boolean(geo.enabled)
+    },
+    query: {
+      paramName: 'version',
+      tokenParam: 'token',
+      requireToken: true,
+      setSticky: true,
+      ...query
     }
+  };
+};
+
+// Load routing rules from JSON file
+let routingRules;
+try {
+  routingRules = readRoutingRulesFile();
+} catch (error) {
+  console.error('Error loading routing rules:', error.message);
+  routingRules = fallbackRoutingRules;
+}
+
+const versions = buildVersions(routingRules);
+
+// Sticky cookie secrets, newest first; older entries keep verifying during rotation
+const stickySessionSecrets = (process.env.STICKY_SESSION_SECRETS || '')
+  .split(',')
+  .map(secret => secret.trim())
+  .filter(Boolean);
+
+if (stickySessionSecrets.length === 0) {
+  console.warn('[CONFIG] STICKY_SESSION_SECRETS is not set; using a per-process secret, ' +
+    'so sticky sessions reset on restart and are not shared between instances');
+}
+
+const config = {
+  server: {
+    port: process.env.PORT || 3001,
+    env: process.env.NODE_ENV || 'development',
+    // Proxies allowed to set X-Forwarded-For: addresses, CIDR blocks or
+    // Express presets (loopback, linklocal, uniquelocal), comma separated
+    trustProxy: process.env.TRUST_PROXY === 'false'
+      ? false
+      : (process.env.TRUST_PROXY || 'loopback').split(',').map(entry => entry.trim()).filter(Boolean)
+  },
+  versions,
+  routing: buildRoutingConfig(routingRules, versions),
+  admin: {
+    apiToken: process.env.ADMIN_API_TOKEN || null,
+    // Explicit opt-in to an open admin API when no token is set, e.g. for local development
+    authDisabled: process.env.ADMIN_AUTH_DISABLED === 'true'
+  },
+  previewLinks: {
+    secret: process.env.PREVIEW_TOKEN_SECRET || null,
+    defaultTtl: parseInt(process.env.PREVIEW_TOKEN_TTL) || 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+  stickySessionSigning: {
+    secrets: stickySessionSecrets.length > 0
+      ? stickySessionSecrets
+      : [crypto.randomBytes(32).toString('hex')]
+  },
+  killSwitch: {
+    // Serve every request from this version at startup (e.g. KILL_SWITCH_VERSION=blue)
+    version: process.env.KILL_SWITCH_VERSION || null
+  },
+  maintenance: {
+    enabled: process.env.MAINTENANCE_MODE === 'true',
+    serveCached: process.env.MAINTENANCE_SERVE_CACHED !== 'false',
+    retryAfterSeconds: parseInt(process.env.MAINTENANCE_RETRY_AFTER) || 300,
+    message: process.env.MAINTENANCE_MESSAGE || 'Pricing is temporarily unavailable for maintenance'
+  },
+  history: {
+    file: process.env.ROUTING_HISTORY_FILE || path.join(__dirname, 'routing-history.json'),
+    maxRevisions: parseInt(process.env.ROUTING_HISTORY_MAX_REVISIONS) || 100
+  },
+  drafts: {
+    // Approvals of pricing drafts awaiting publication
+    reviewsFile: process.env.PRICING_REVIEWS_FILE || path.join(__dirname, 'pricing-reviews.json'),
+    // Catalog edits of published documents skip review, so they are refused unless enabled
+    allowDirectEdits: process.env.PRICING_ALLOW_DIRECT_EDITS === 'true'
+  },
+  hotReload: {
+    enabled: process.env.ROUTING_HOT_RELOAD !== 'false',
+    debounceMs: parseInt(process.env.ROUTING_HOT_RELOAD_DEBOUNCE) || 250,
+    // Reload pricing data when it changes in storage
+    pricingData: process.env.PRICING_HOT_RELOAD !== 'false'
+  },
+  storage: {
+    // Where pricing documents are kept: 'file' (src/data/*.json) or 'sqlite'
+    driver: process.env.PRICING_STORAGE || 'file',
+    sqlitePath: process.env.PRICING_SQLITE_PATH || path.join(__dirname, '../data/pricing.db'),
+    // How often the SQLite store checks for writes by other processes
+    pollIntervalMs: parseInt(process.env.PRICING_SQLITE_POLL_INTERVAL) || 2000
+  },
+  debug: {
+    // Include the routing decision trace in /pricing responses
+    routingTrace: process.env.ROUTING_DEBUG === 'true'
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -68,4 +275,131 @@ const config = {
   }
 };
 
-export default config;
\ No newline at end of file
+// Emits 'routing-changed' with { previous, current, previousVersions, rules, source, actor } after a change
+export const configEvents = new EventEmitter();
+
+/**
+ * Get the routing rules document currently in effect (before env overrides)
+ * @returns {Object}
+ */
+export const getRoutingRules = () => routingRules;
+
+/**
+ * Validate and activate a routing rules document.
+ * The active configuration is left untouched when validation fails.
+ * @param {Object} rules
+ * @param {Object} [origin]
+ * @param {string} [origin.source] - What triggered the change (for logs and listeners)
+ * @param {string} [origin.actor] - Who made the change
+ * @returns {Object} The new effective routing configuration
+ * @throws {Error} With status 400 and an `errors` list when invalid
+ */
+export const applyRoutingRules = (rules, { source = 'api', actor = 'system' } = {}) => {
+  const errors = validateRoutingRules(rules);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid routing rules: ${errors.join('; ')}`);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  const previous = config.routing;
+  const previousVersions = config.versions;
+  const nextVersions = buildVersions(rules);
+
+  routingRules = rules;
+  config.versions = nextVersions;
+  config.routing = buildRoutingConfig(rules, nextVersions);
+
+  logInfo(`[CONFIG] Routing rules applied (source: ${source}, actor: ${actor})`);
+  configEvents.emit('routing-changed', { previous, current: config.routing, previousVersions, rules, source, actor });
+
+  return config.routing;
+};
+
+/**
+ * List environment variables that currently override routing-rules.json
+ * @returns {Array<string>}
+ */
+export const getEnvOverrides = () => {
+  const names = [
+    ...config.versions.map(({ name }) => `${name.toUpperCase()}_PERCENTAGE`),
+    'ENABLE_PERCENTAGE_ROUTING',
+    'ENABLE_HEADER_ROUTING',
+    'ENABLE_COOKIE_ROUTING',
+    'ENABLE_IP_ROUTING',
+    'ENABLE_GEO_ROUTING'
+  ];
+
+  return names.filter(name => {
+    const value = process.env[name];
+    return name.startsWith('ENABLE_') ? value === 'true' : Boolean(parseInt(value));
+  });
+};
+
+/**
+ * Write the active routing rules back to routing-rules.json.
+ * Written to a temporary file first so the watcher never sees a partial file.
+ * @returns {Promise<void>}
+ */
+export const persistRoutingRules = async () => {
+  const tempPath = `${routingRulesPath}.tmp`;
+  await fs.promises.writeFile(tempPath, `${JSON.stringify(routingRules, null, 2)}\n`, 'utf8');
+  await fs.promises.rename(tempPath, routingRulesPath);
+  logInfo(`[CONFIG] Routing rules persisted to ${path.basename(routingRulesPath)}`);
+};
+
+/**
+ * Re-read routing-rules.json and activate it if valid
+ * @param {Object} [origin] - Source and actor, as for applyRoutingRules
+ * @returns {Object} The new effective routing configuration
+ * @throws {Error} With status 400 and an `errors` list when the file is invalid
+ */
+export const reloadRoutingRules = (origin = { source: 'reload' }) => {
+  let rules;
+  try {
+    rules = readRoutingRulesFile();
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  return applyRoutingRules(rules, origin);
+};
+
+/**
+ * Watch routing-rules.json and reload it whenever it changes.
+ * Editors often replace the file on save, so the directory is watched.
+ * @returns {Function} Stops watching
+ */
+export const watchRoutingRules = () => {
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(routingRulesPath), (eventType, filename) => {
+    if (filename !== path.basename(routingRulesPath)) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        const rules = readRoutingRulesFile();
+
+        // Skip writes that only persisted the configuration already in effect
+        if (JSON.stringify(rules) !== JSON.stringify(routingRules)) {
+          applyRoutingRules(rules, { source: 'file-watch', actor: 'system' });
+        }
+      } catch (error) {
+        console.error('[CONFIG] Rejected routing-rules.json change, keeping last good configuration:',
+          error.message);
+      }
+    }, config.hotReload.debounceMs);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+};
+
+export default config;
@@ -0,0 +1,439 @@
+import fs from 'fs';
+import { resolveGeoIpPath } from '../utils/geoIp.js';
+import { isValidIpOrCidr } from '../utils/ipUtils.js';
+import RuleEngine from '../services/RuleEngine.js';
+import { validateRolloutPlan } from '../utils/rolloutPlans.js';
+import { validateSchedule } from '../utils/timeWindows.js';
+import { BROWSER_FAMILIES, DEVICE_TYPES } from '../utils/userAgent.js';
+
+// Rule names that may appear in `priority` and `routingRules`
+export const ROUTING_RULE_NAMES = ['query', 'header', 'cookie', 'ip', 'geo', 'device', 'expression', 'percentage'];
+
+// ISO 3166-1 alpha-2 country codes, as sent by CDNs and stored in GeoIP databases
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+// Sources percentage routing can bucket clients by, tried in the configured order
+export const BUCKETING_KEYS = ['userId', 'anonymousId', 'fingerprint'];
+
+const ruleEngine = new RuleEngine();
+
+// Version names end up in file names, cookies and URLs
+const VERSION_NAME = /^[a-z][a-z0-9-]*$/;
+
+// Pricing files are plain JSON file names inside src/data
+const PRICING_FILE = /^[A-Za-z0-9][A-Za-z0-9._-]*\.json$/;
+
+// The file store keeps a version's draft, previous copy and journal next to its pricing file under these names
+const SLOT_FILE = /\.(draft|previous|journal)\.json$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+/**
+ * Validate a routing rules document (the shape of routing-rules.json)
+ * @param {Object} rules
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export const validateRoutingRules = (rules) => {
+  const errors = [];
+
+  if (!isObject(rules)) {
+    return ['Routing rules must be a JSON object'];
+  }
+
+  // Versions
+  if (!isObject(rules.versions) || Object.keys(rules.versions).length === 0) {
+    errors.push('versions must register at least one version');
+  }
+  const versionNames = isObject(rules.versions) ? Object.keys(rules.versions) : [];
+
+  for (const name of versionNames) {
+    const version = rules.versions[name];
+    if (!VERSION_NAME.test(name)) {
+      errors.push(`versions.${name} must be named with lowercase letters, digits and dashes, starting with a letter`);
+    }
+    if (!isObject(version)) {
+      errors.push(`versions.${name} must be an object`);
+      continue;
+    }
+    if (version.pricingFile !== undefined &&
+        (typeof version.pricingFile !== 'string' || !PRICING_FILE.test(version.pricingFile))) {
+      errors.push(`versions.${name}.pricingFile must be a .json file name in src/data, without directories`);
+    } else if (SLOT_FILE.test(version.pricingFile ?? '')) {
+      errors.push(`versions.${name}.pricingFile cannot end in .draft.json, .previous.json or .journal.json, which the file store uses for drafts, previous copies and pending changes`);
+    }
+    if (version.upstream !== undefined && !isHttpUrl(version.upstream)) {
+      errors.push(`versions.${name}.upstream must be an http(s) URL`);
+    }
+  }
+
+  if (rules.defaultVersion !== undefined && !versionNames.includes(rules.defaultVersion)) {
+    errors.push(`defaultVersion "${rules.defaultVersion}" is not a registered version`);
+  }
+
+  // Rules
+  if (!isObject(rules.routingRules)) {
+    errors.push('routingRules must be an object');
+    return errors;
+  }
+
+  for (const name of Object.keys(rules.routingRules)) {
+    if (!ROUTING_RULE_NAMES.includes(name)) {
+      errors.push(`routingRules.${name} is not a known rule (expected one of: ${ROUTING_RULE_NAMES.join(', ')})`);
+    }
+  }
+
+  const { percentage, header, cookie, ip, geo, query, device, expression } = rules.routingRules;
+
+  // Any rule can be limited to a time window
+  for (const name of ROUTING_RULE_NAMES) {
+    const rule = rules.routingRules[name];
+    if (isObject(rule) && rule.schedule !== undefined) {
+      errors.push(...validateSchedule(rule.schedule, `routingRules.${name}.schedule`));
+    }
+  }
+
+  if (!isObject(percentage)) {
+    errors.push('routingRules.percentage must be an object');
+  } else {
+    const weights = versionNames.map(name => percentage[name] ?? 0);
+    if (weights.some(weight => typeof weight !== 'number' || weight < 0 || weight > 100)) {
+      errors.push('routingRules.percentage weights must be numbers between 0 and 100');
+    } else if (percentage.enabled && weights.reduce((sum, weight) => sum + weight, 0) !== 100) {
+      errors.push(`routingRules.percentage weights must sum to 100 (got ${weights.reduce((sum, weight) => sum + weight, 0)})`);
+    }
+
+    const { rollout } = percentage;
+    if (rollout !== undefined) {
+      if (!isObject(rollout)) {
+        errors.push('routingRules.percentage.rollout must be an object');
+      } else if (rollout.enabled) {
+        // The same checks a plan started at runtime gets, against the versions of this document
+        errors.push(...validateRolloutPlan(rollout, name => versionNames.includes(name))
+          .map(error => `routingRules.percentage.rollout: ${error}`));
+      }
+    }
+
+    const { scheduledSplits } = percentage;
+    if (scheduledSplits !== undefined) {
+      if (!Array.isArray(scheduledSplits)) {
+        errors.push('routingRules.percentage.scheduledSplits must be an array');
+      } else {
+        const names = new Set();
+        scheduledSplits.forEach((entry, i) => {
+          const path = `routingRules.percentage.scheduledSplits[${i}]`;
+          if (!isObject(entry)) {
+            errors.push(`${path} must be an object`);
+            return;
+          }
+          if (typeof entry.name !== 'string' || names.has(entry.name)) {
+            errors.push(`${path}.name must be a unique string`);
+          }
+          names.add(entry.name);
+          if (!isObject(entry.split)) {
+            errors.push(`${path}.split must map versions to percentages`);
+          } else {
+            const unknown = Object.keys(entry.split).filter(name => !versionNames.includes(name));
+            const values = Object.values(entry.split);
+            if (unknown.length > 0) {
+              errors.push(`${path}.split has unregistered versions: ${unknown.join(', ')}`);
+            } else if (values.some(value => typeof value !== 'number' || value < 0 || value > 100)) {
+              errors.push(`${path}.split weights must be numbers between 0 and 100`);
+            } else if (values.reduce((sum, value) => sum + value, 0) !== 100) {
+              errors.push(`${path}.split weights must sum to 100`);
+            }
+          }
+          errors.push(...(entry.schedule === undefined
+            ? [`${path}.schedule is required`]
+            : validateSchedule(entry.schedule, `${path}.schedule`)));
+        });
+      }
+    }
+
+    const { bucketing } = percentage;
+    if (bucketing !== undefined) {
+      if (!isObject(bucketing)) {
+        errors.push('routingRules.percentage.bucketing must be an object');
+      } else {
+        if (bucketing.keys !== undefined &&
+            (!Array.isArray(bucketing.keys) || bucketing.keys.length === 0 ||
+             bucketing.keys.some(key => !BUCKETING_KEYS.includes(key)))) {
+          errors.push(`routingRules.percentage.bucketing.keys must list sources from: ${BUCKETING_KEYS.join(', ')}`);
+        }
+        for (const field of ['userIdHeader', 'anonymousCookie', 'salt']) {
+          if (bucketing[field] !== undefined && typeof bucketing[field] !== 'string') {
+            errors.push(`routingRules.percentage.bucketing.${field} must be a string`);
+          }
+        }
+        if (bucketing.anonymousCookieMaxAge !== undefined &&
+            !(typeof bucketing.anonymousCookieMaxAge === 'number' && bucketing.anonymousCookieMaxAge > 0)) {
+          errors.push('routingRules.percentage.bucketing.anonymousCookieMaxAge must be a positive number');
+        }
+      }
+    }
+  }
+
+  if (header !== undefined && (!isObject(header) || typeof header.headerName !== 'string')) {
+    errors.push('routingRules.header.headerName must be a string');
+  }
+
+  if (cookie !== undefined && (!isObject(cookie) || typeof cookie.cookieName !== 'string')) {
+    errors.push('routingRules.cookie.cookieName must be a string');
+  }
+
+  if (ip !== undefined) {
+    if (!isObject(ip)) {
+      errors.push('routingRules.ip must be an object');
+    } else {
+      for (const name of versionNames) {
+        const list = ip[`${name}Ips`];
+        if (list !== undefined && !Array.isArray(list)) {
+          errors.push(`routingRules.ip.${name}Ips must be an array of addresses or CIDR blocks`);
+        } else if (list) {
+          for (const entry of list.filter(entry => !isValidIpOrCidr(entry))) {
+            errors.push(`routingRules.ip.${name}Ips contains an invalid address or CIDR block: ${entry}`);
+          }
+        }
+      }
+    }
+  }
+
+  if (geo !== undefined) {
+    if (!isObject(geo)) {
+      errors.push('routingRules.geo must be an object');
+    } else {
+      if (geo.countryHeader !== undefined && geo.countryHeader !== null && typeof geo.countryHeader !== 'string') {
+        errors.push('routingRules.geo.countryHeader must be a string');
+      }
+      if (geo.database !== undefined && geo.database !== null) {
+        if (typeof geo.database !== 'string') {
+          errors.push('routingRules.geo.database must be a file path');
+        } else if (!fs.existsSync(resolveGeoIpPath(geo.database))) {
+          errors.push(`routingRules.geo.database file not found: ${geo.database}`);
+        }
+      }
+      if (geo.enabled && !geo.countryHeader && !geo.database) {
+        errors.push('routingRules.geo needs a countryHeader or a database to look countries up');
+      }
+      if (geo.countries !== undefined) {
+        if (!isObject(geo.countries)) {
+          errors.push('routingRules.geo.countries must map country codes to versions');
+        } else {
+          for (const [country, version] of Object.entries(geo.countries)) {
+            if (!COUNTRY_CODE.test(country)) {
+              errors.push(`routingRules.geo.countries.${country} is not a two-letter uppercase country code`);
+            } else if (!versionNames.includes(version)) {
+              errors.push(`routingRules.geo.countries.${country} "${version}" is not a registered version`);
+            }
+          }
+        }
+      }
+      if (geo.regions !== undefined) {
+        if (!isObject(geo.regions)) {
+          errors.push('routingRules.geo.regions must map region names to { countries, version }');
+        } else {
+          for (const [name, region] of Object.entries(geo.regions)) {
+            const path = `routingRules.geo.regions.${name}`;
+            if (!isObject(region)) {
+              errors.push(`${path} must be an object`);
+              continue;
+            }
+            if (!Array.isArray(region.countries) || region.countries.length === 0 ||
+                region.countries.some(country => !COUNTRY_CODE.test(country))) {
+              errors.push(`${path}.countries must list two-letter uppercase country codes`);
+            }
+            if (!versionNames.includes(region.version)) {
+              errors.push(`${path}.version "${region.version}" is not a registered version`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (query !== undefined) {
+    if (!isObject(query)) {
+      errors.push('routingRules.query must be an object');
+    } else {
+      for (const field of ['paramName', 'tokenParam']) {
+        if (query[field] !== undefined && typeof query[field] !== 'string') {
+          errors.push(`routingRules.query.${field} must be a string`);
+        }
+      }
+    }
+  }
+
+  if (device !== undefined) {
+    if (!isObject(device)) {
+      errors.push('routingRules.device must be an object');
+    } else {
+      if (device.bots !== undefined && !versionNames.includes(device.bots)) {
+        errors.push(`routingRules.device.bots "${device.bots}" is not a registered version`);
+      }
+      for (const [field, allowed] of [['deviceTypes', DEVICE_TYPES], ['browsers', BROWSER_FAMILIES]]) {
+        if (device[field] === undefined) continue;
+        if (!isObject(device[field])) {
+          errors.push(`routingRules.device.${field} must be an object`);
+          continue;
+        }
+        for (const [key, version] of Object.entries(device[field])) {
+          if (!allowed.includes(key)) {
+            errors.push(`routingRules.device.${field}.${key} is not one of: ${allowed.join(', ')}`);
+          } else if (!versionNames.includes(version)) {
+            errors.push(`routingRules.device.${field}.${key} "${version}" is not a registered version`);
+          }
+        }
+      }
+    }
+  }
+
+  if (expression !== undefined) {
+    if (!isObject(expression) || !Array.isArray(expression.rules)) {
+      errors.push('routingRules.expression.rules must be an array');
+    } else {
+      const names = new Set();
+      expression.rules.forEach((rule, i) => {
+        const path = `routingRules.expression.rules[${i}]`;
+        if (!isObject(rule)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (typeof rule.name !== 'string' || names.has(rule.name)) {
+          errors.push(`${path}.name must be a unique string`);
+        }
+        names.add(rule.name);
+        if (!versionNames.includes(rule.version)) {
+          errors.push(`${path}.version "${rule.version}" is not a registered version`);
+        }
+        errors.push(...ruleEngine.validate(rule.when, `${path}.when`));
+        if (rule.schedule !== undefined) {
+          errors.push(...validateSchedule(rule.schedule, `${path}.schedule`));
+        }
+      });
+    }
+  }
+
+  // Priority
+  if (!Array.isArray(rules.priority) || rules.priority.length === 0) {
+    errors.push('priority must be a non-empty array of rule names');
+  } else {
+    for (const name of rules.priority) {
+      if (!ROUTING_RULE_NAMES.includes(name)) {
+        errors.push(`priority contains unknown rule "${name}"`);
+      }
+    }
+    if (new Set(rules.priority).size !== rules.priority.length) {
+      errors.push('priority must not list a rule twice');
+    }
+  }
+
+  // Sticky sessions
+  if (rules.stickySession !== undefined &&
+      (!isObject(rules.stickySession) || typeof rules.stickySession.cookieName !== 'string')) {
+    errors.push('stickySession.cookieName must be a string');
+  }
+
+  // Automatic rollback
+  if (rules.autoRollback !== undefined) {
+    if (!isObject(rules.autoRollback)) {
+      errors.push('autoRollback must be an object');
+    } else {
+      const { stableVersion } = rules.autoRollback;
+      if (stableVersion !== undefined && !versionNames.includes(stableVersion)) {
+        errors.push(`autoRollback.stableVersion "${stableVersion}" is not a registered version`);
+      }
+      for (const field of ['errorRateThreshold', 'latencyThresholdMs', 'minRequests', 'windowMs']) {
+        const value = rules.autoRollback[field];
+        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+          errors.push(`autoRollback.${field} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  // Shadow traffic
+  if (rules.shadow !== undefined) {
+    if (!isObject(rules.shadow)) {
+      errors.push('shadow must be an object');
+    } else {
+      const { enabled, stableVersion, candidateVersion, sampleRate, windowMs } = rules.shadow;
+      if (stableVersion !== undefined && !versionNames.includes(stableVersion)) {
+        errors.push(`shadow.stableVersion "${stableVersion}" is not a registered version`);
+      }
+      if ((enabled || candidateVersion !== undefined) && !versionNames.includes(candidateVersion)) {
+        errors.push(`shadow.candidateVersion "${candidateVersion}" is not a registered version`);
+      }
+      if (candidateVersion !== undefined &&
+          candidateVersion === (stableVersion ?? rules.defaultVersion)) {
+        errors.push('shadow.candidateVersion must differ from the stable version');
+      }
+      if (sampleRate !== undefined && (typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1)) {
+        errors.push('shadow.sampleRate must be a number between 0 and 1');
+      }
+      if (windowMs !== undefined && (typeof windowMs !== 'number' || windowMs < 0)) {
+        errors.push('shadow.windowMs must be a non-negative number');
+      }
+    }
+  }
+
+  // Cutover drain settings
+  if (rules.cutover !== undefined) {
+    if (!isObject(rules.cutover)) {
+      errors.push('cutover must be an object');
+    } else {
+      for (const field of ['drainWindowMs', 'sessionIdleMs']) {
+        const value = rules.cutover[field];
+        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+          errors.push(`cutover.${field} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  // Reverse proxy
+  if (rules.proxy !== undefined) {
+    if (!isObject(rules.proxy)) {
+      errors.push('proxy must be an object');
+    } else {
+      const { enabled, mountPath, healthCheck } = rules.proxy;
+      if (mountPath !== undefined && (typeof mountPath !== 'string' || !/^\/([^/].*[^/])?$|^\/[^/]$/.test(mountPath))) {
+        errors.push('proxy.mountPath must be a path such as "/" or "/app" without a trailing slash');
+      }
+      for (const field of ['timeoutMs', 'requestTimeoutMs', 'maxBodyBytes']) {
+        if (rules.proxy[field] !== undefined && !isPositiveNumber(rules.proxy[field])) {
+          errors.push(`proxy.${field} must be a positive number`);
+        }
+      }
+      if (healthCheck !== undefined) {
+        if (!isObject(healthCheck)) {
+          errors.push('proxy.healthCheck must be an object');
+        } else {
+          if (healthCheck.path !== undefined && (typeof healthCheck.path !== 'string' || !healthCheck.path.startsWith('/'))) {
+            errors.push('proxy.healthCheck.path must start with "/"');
+          }
+          for (const field of ['intervalMs', 'timeoutMs', 'unhealthyThreshold']) {
+            if (healthCheck[field] !== undefined && !isPositiveNumber(healthCheck[field])) {
+              errors.push(`proxy.healthCheck.${field} must be a positive number`);
+            }
+          }
+        }
+      }
+      if (enabled) {
+        for (const name of versionNames.filter(name => !rules.versions[name]?.upstream)) {
+          errors.push(`versions.${name}.upstream is required when proxy is enabled`);
+        }
+      }
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,794 @@
+import config, {
+  applyRoutingRules,
+  getEnvOverrides,
+  getRoutingRules,
+  persistRoutingRules,
+  reloadRoutingRules
+} from '../config/index.js';
+import PricingCatalogService from '../services/PricingCatalogService.js';
+import PricingDraftService from '../services/PricingDraftService.js';
+import RoutingSimulator from '../services/RoutingSimulator.js';
+import liveRouting, { configHistory, maintenance, pricingModel, upstreamHealth } from '../services/liveRouting.js';
+import { deepClone, getVersionNames, isValidVersion, mergePatch } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+import { createPreviewToken } from '../utils/previewTokens.js';
+
+class AdminController {
+  constructor() {
+    this.historyService = configHistory;
+    this.simulator = new RoutingSimulator(liveRouting);
+    this.catalog = new PricingCatalogService(pricingModel);
+    this.drafts = new PricingDraftService(pricingModel, this.catalog);
+  }
+
+  /**
+   * Handle GET /admin/routing requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRouting(req, res) {
+    res.status(200).json({
+      success: true,
+      data: this.describeRouting(),
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle PUT /admin/routing requests (replace the whole rules document)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replaceRouting(req, res) {
+    await this.updateRouting(req, res, () => req.body);
+  }
+
+  /**
+   * Handle PATCH /admin/routing requests (JSON merge patch of the rules document)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async patchRouting(req, res) {
+    await this.updateRouting(req, res, () => mergePatch(deepClone(getRoutingRules()), req.body));
+  }
+
+  /**
+   * Validate, apply and optionally persist a new rules document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} buildRules - Returns the candidate rules document
+   * @param {Object} [origin] - Overrides the recorded change source
+   */
+  async updateRouting(req, res, buildRules, { source = 'admin-api' } = {}) {
+    try {
+      applyRoutingRules(buildRules(), { source, actor: req.adminUser });
+
+      const persisted = req.query.persist === 'true';
+      if (persisted) {
+        await persistRoutingRules();
+      }
+
+      const envOverrides = getEnvOverrides();
+
+      res.status(200).json({
+        success: true,
+        message: persisted ? 'Routing updated and persisted' : 'Routing updated',
+        data: this.describeRouting(),
+        warnings: envOverrides.length > 0
+          ? [`Environment overrides still take precedence: ${envOverrides.join(', ')}`]
+          : undefined,
+        meta: {
+          persisted,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('[ROUTING_UPDATE_ERROR]', error.message);
+      this.sendError(res, error, 'Failed to update routing');
+    }
+  }
+
+  /**
+   * Handle POST /admin/routing/reload requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reloadRouting(req, res) {
+    try {
+      reloadRoutingRules({ source: 'admin-reload', actor: req.adminUser });
+
+      res.status(200).json({
+        success: true,
+        message: 'Routing rules reloaded',
+        data: this.describeRouting(),
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('[ROUTING_RELOAD_ERROR]', error.message);
+      this.sendError(res, error, 'Failed to reload routing rules');
+    }
+  }
+
+  /**
+   * Handle GET /admin/routing/revisions requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listRevisions(req, res) {
+    res.status(200).json({
+      success: true,
+      data: {
+        currentRevision: this.historyService.getLatest()?.revision || null,
+        revisions: this.historyService.list()
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle GET /admin/routing/revisions/:revision requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRevision(req, res) {
+    const revision = this.historyService.get(parseInt(req.params.revision));
+
+    if (!revision) {
+      return this.sendRevisionNotFound(res, req.params.revision);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle GET /admin/routing/revisions/:from/diff/:to requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async diffRevisions(req, res) {
+    const from = parseInt(req.params.from);
+    const to = parseInt(req.params.to);
+    const changes = this.historyService.diff(from, to);
+
+    if (!changes) {
+      return this.sendRevisionNotFound(res, this.historyService.get(from) ? req.params.to : req.params.from);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { from, to, changes },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle POST /admin/routing/revisions/:revision/restore requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async restoreRevision(req, res) {
+    const revision = this.historyService.get(parseInt(req.params.revision));
+
+    if (!revision) {
+      return this.sendRevisionNotFound(res, req.params.revision);
+    }
+
+    await this.updateRouting(req, res, () => deepClone(revision.rules), {
+      source: `restore-revision-${revision.revision}`
+    });
+  }
+
+  /**
+   * Handle POST /admin/routing/simulate requests: replay sample requests or a
+   * synthetic population through a candidate configuration ({ rules } or a
+   * merge { patch } of the current rules) without applying it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async simulateRouting(req, res) {
+    const { rules, patch, requests, population } = req.body || {};
+
+    try {
+      const candidate = rules ?? mergePatch(deepClone(getRoutingRules()), patch || {});
+      const report = this.simulator.simulate(candidate, { requests, population });
+
+      this.audit(req, 'routing-simulate', {
+        requests: report.requests,
+        moved: report.changes.moved,
+        stickyMoved: report.changes.stickyMoved
+      });
+
+      res.status(200).json({
+        success: true,
+        data: report,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('[SIMULATE_ERROR]', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        error: {
+          message: error.status === 400 ? 'Invalid simulation' : 'Failed to simulate routing',
+          details: error.errors || [error.message]
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle POST /admin/rollout requests: start a new rollout plan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startRollout(req, res) {
+    this.handleControlAction(res, 'rollout-start', () => liveRouting.rolloutService.start(req.body));
+  }
+
+  /**
+   * Handle POST /admin/rollout/pause requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async pauseRollout(req, res) {
+    this.handleControlAction(res, 'rollout-pause', () => liveRouting.rolloutService.pause());
+  }
+
+  /**
+   * Handle POST /admin/rollout/resume requests: resume the plan, or clear
+   * an automatic rollback
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resumeRollout(req, res) {
+    this.handleControlAction(res, 'rollout-resume', () => liveRouting.rolloutService.resume());
+  }
+
+  /**
+   * Handle GET /admin/cutover requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCutover(req, res) {
+    this.handleControlAction(res, 'cutover-status', () => liveRouting.cutoverService.getReport());
+  }
+
+  /**
+   * Handle POST /admin/cutover requests: send all new traffic to
+   * `targetVersion` and drain existing sessions over `drainWindowMs`
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startCutover(req, res) {
+    const { targetVersion, drainWindowMs } = req.body || {};
+
+    this.handleControlAction(res, 'cutover-start', () =>
+      liveRouting.cutoverService.start({ targetVersion, drainWindowMs, actor: req.adminUser }));
+  }
+
+  /**
+   * Handle POST /admin/cutover/revert requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revertCutover(req, res) {
+    this.handleControlAction(res, 'cutover-revert', () => liveRouting.cutoverService.revert(req.adminUser));
+  }
+
+  /**
+   * Handle GET /admin/kill-switch requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getKillSwitch(req, res) {
+    this.handleControlAction(res, 'kill-switch-status', () => ({
+      engaged: Boolean(liveRouting.killSwitchService.getStatus()),
+      ...liveRouting.killSwitchService.getStatus()
+    }));
+  }
+
+  /**
+   * Handle POST /admin/kill-switch requests: serve every request from `version`
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async engageKillSwitch(req, res) {
+    const { version, reason } = req.body || {};
+
+    this.handleControlAction(res, 'kill-switch-engage', () =>
+      liveRouting.killSwitchService.engage({ version, reason, actor: req.adminUser }));
+  }
+
+  /**
+   * Handle POST /admin/kill-switch/release requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async releaseKillSwitch(req, res) {
+    this.handleControlAction(res, 'kill-switch-release', () =>
+      liveRouting.killSwitchService.release(req.adminUser));
+  }
+
+  /**
+   * Handle GET /admin/maintenance requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMaintenance(req, res) {
+    this.handleControlAction(res, 'maintenance-status', () => maintenance.getStatus());
+  }
+
+  /**
+   * Handle POST /admin/maintenance requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enableMaintenance(req, res) {
+    const { serveCached, retryAfterSeconds, message } = req.body || {};
+
+    this.handleControlAction(res, 'maintenance-enable', () =>
+      maintenance.enable({ serveCached, retryAfterSeconds, message, actor: req.adminUser }));
+  }
+
+  /**
+   * Handle POST /admin/maintenance/disable requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disableMaintenance(req, res) {
+    this.handleControlAction(res, 'maintenance-disable', () => maintenance.disable(req.adminUser));
+  }
+
+  /**
+   * Handle GET /admin/pricing/cache requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPricingCache(req, res) {
+    this.handleControlAction(res, 'pricing-cache-status', () => pricingModel.getCacheStats());
+  }
+
+  /**
+   * Handle POST /admin/pricing/cache/flush requests: drop the cached copy
+   * of `version`, or of every version when none is given
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async flushPricingCache(req, res) {
+    const { version } = req.body || {};
+
+    this.handleControlAction(res, 'pricing-cache-flush', () => {
+      const versions = this.getCacheVersions(version);
+      versions.forEach(name => pricingModel.clearCache(name));
+      this.audit(req, 'pricing-cache-flush', { versions });
+      return { flushed: versions, cache: pricingModel.getCacheStats() };
+    });
+  }
+
+  /**
+   * Handle POST /admin/pricing/cache/warm requests: reload `version`, or
+   * every version, from disk and report each file's validation result
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async warmPricingCache(req, res) {
+    const { version } = req.body || {};
+
+    await this.handleControlAction(res, 'pricing-cache-warm', async () => {
+      const results = {};
+      for (const name of this.getCacheVersions(version)) {
+        results[name] = await pricingModel.reloadVersion(name);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Handle GET /admin/versions/:version/plans requests (?draft=true lists the draft's plans)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listPlans(req, res) {
+    const { version } = req.params;
+
+    await this.handleControlAction(res, 'plans-list', async () => ({
+      version,
+      draft: this.isDraftRequest(req),
+      plans: await this.catalog.listPlans(version, { draft: this.isDraftRequest(req) })
+    }));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/plans requests: add a plan after the existing ones
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPlan(req, res) {
+    await this.handleControlAction(res, 'plan-create', () =>
+      this.catalog.createPlan(req.params.version, req.body, this.getCatalogTarget(req)), 201);
+  }
+
+  /**
+   * Handle PUT /admin/versions/:version/plans/:planId requests: replace a plan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replacePlan(req, res) {
+    const { version, planId } = req.params;
+
+    await this.handleControlAction(res, 'plan-update', () =>
+      this.catalog.updatePlan(version, planId, req.body, this.getCatalogTarget(req)));
+  }
+
+  /**
+   * Handle PATCH /admin/versions/:version/plans/:planId requests: merge-patch
+   * a plan (RFC 7396; null removes a field)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async patchPlan(req, res) {
+    const { version, planId } = req.params;
+
+    await this.handleControlAction(res, 'plan-update', () =>
+      this.catalog.updatePlan(version, planId, req.body, { ...this.getCatalogTarget(req), merge: true }));
+  }
+
+  /**
+   * Handle DELETE /admin/versions/:version/plans/:planId requests: retire a plan
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deletePlan(req, res) {
+    const { version, planId } = req.params;
+
+    await this.handleControlAction(res, 'plan-delete', () =>
+      this.catalog.deletePlan(version, planId, this.getCatalogTarget(req)));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/plans/reorder requests with
+   * `order`, every plan id in the new display order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reorderPlans(req, res) {
+    const { order } = req.body || {};
+
+    await this.handleControlAction(res, 'plans-reorder', () =>
+      this.catalog.reorderPlans(req.params.version, order, this.getCatalogTarget(req)));
+  }
+
+  /**
+   * Whether a catalog request edits the version's draft (?draft=true)
+   * @param {Object} req - Express request object
+   * @returns {boolean}
+   */
+  isDraftRequest(req) {
+    return req.query.draft === 'true';
+  }
+
+  /**
+   * Build the catalog options of a request: who edits, and whether the draft is edited
+   * @param {Object} req - Express request object
+   * @returns {Object} { actor, draft }
+   */
+  getCatalogTarget(req) {
+    return { actor: req.adminUser, draft: this.isDraftRequest(req) };
+  }
+
+  /**
+   * Handle GET /admin/versions/:version/draft requests: the draft and its review state
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDraft(req, res) {
+    await this.handleControlAction(res, 'draft-get', () => this.drafts.getDraft(req.params.version));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/draft requests: start a draft from the published document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createDraft(req, res) {
+    await this.handleControlAction(res, 'draft-create', () =>
+      this.drafts.createDraft(req.params.version, req.adminUser), 201);
+  }
+
+  /**
+   * Handle PUT /admin/versions/:version/draft requests: replace the draft with a whole pricing document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replaceDraft(req, res) {
+    await this.handleControlAction(res, 'draft-replace', () =>
+      this.drafts.replaceDraft(req.params.version, req.body, req.adminUser));
+  }
+
+  /**
+   * Handle DELETE /admin/versions/:version/draft requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async discardDraft(req, res) {
+    await this.handleControlAction(res, 'draft-discard', () =>
+      this.drafts.discardDraft(req.params.version, req.adminUser));
+  }
+
+  /**
+   * Handle GET /admin/versions/:version/draft/diff requests: what publishing would change
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async diffDraft(req, res) {
+    await this.handleControlAction(res, 'draft-diff', () => this.drafts.diffDraft(req.params.version));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/draft/approve requests with an optional `note`
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approveDraft(req, res) {
+    const { note } = req.body || {};
+
+    await this.handleControlAction(res, 'draft-approve', () =>
+      this.drafts.approveDraft(req.params.version, { actor: req.adminUser, note }));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/publish requests: publish the approved draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async publishDraft(req, res) {
+    await this.handleControlAction(res, 'draft-publish', () =>
+      this.drafts.publishDraft(req.params.version, req.adminUser));
+  }
+
+  /**
+   * Handle POST /admin/versions/:version/rollback requests: restore the previously published copy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rollbackPublished(req, res) {
+    await this.handleControlAction(res, 'pricing-rollback', () =>
+      this.drafts.rollback(req.params.version, req.adminUser));
+  }
+
+  /**
+   * Resolve the versions a cache action applies to
+   * @param {string} [version] - One version, or all when omitted
+   * @returns {Array<string>}
+   */
+  getCacheVersions(version) {
+    if (version === undefined) {
+      return getVersionNames();
+    }
+    if (!isValidVersion(version)) {
+      const error = new Error(`Invalid version. Must be one of: ${getVersionNames().join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return [version];
+  }
+
+  /**
+   * Record an admin action that the routing history does not cover, as one
+   * `[AUDIT]` line with the acting admin user and the action's details
+   * @param {Object} req - Express request object
+   * @param {string} action - Action name, as for handleControlAction
+   * @param {Object} [details]
+   */
+  audit(req, action, details = {}) {
+    logInfo(`[AUDIT] ${action} by ${req.adminUser || 'unknown'} ${JSON.stringify(details)}`);
+  }
+
+  /**
+   * Run a runtime control action (rollout, cutover, kill switch, maintenance,
+   * pricing cache, catalog and drafts) and translate its errors into responses
+   * @param {Object} res - Express response object
+   * @param {string} action - Action name for logging
+   * @param {Function} fn - Action returning the resulting status, or a promise of it
+   * @param {number} [successStatus] - HTTP status on success
+   */
+  async handleControlAction(res, action, fn, successStatus = 200) {
+    try {
+      const status = await fn();
+
+      res.status(successStatus).json({
+        success: true,
+        data: status,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error(`[${action.toUpperCase().replace(/-/g, '_')}_ERROR]`, error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        error: {
+          message: error.message,
+          details: error.details
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle GET /admin/upstreams requests: probe every upstream now and
+   * report its health (?probe=false returns the last known state)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUpstreams(req, res) {
+    try {
+      const upstreams = req.query.probe === 'false'
+        ? upstreamHealth.getStatus()
+        : await upstreamHealth.checkAll();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          proxy: config.routing.proxy,
+          upstreams
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('[UPSTREAM_ERROR]', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to check upstreams',
+          details: [error.message]
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle POST /admin/preview-links requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPreviewLink(req, res) {
+    const { version, ttl, baseUrl } = req.body || {};
+
+    if (!isValidVersion(version)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid version. Must be one of: ${getVersionNames().join(', ')}`
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    try {
+      const { paramName, tokenParam } = config.routing.query;
+      const { token, expiresAt } = createPreviewToken(version, parseInt(ttl) || undefined);
+      const search = new URLSearchParams({ [paramName]: version, [tokenParam]: token }).toString();
+
+      this.audit(req, 'preview-link-create', { version, expiresAt });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          version,
+          token,
+          expiresAt,
+          path: `/pricing?${search}`,
+          url: baseUrl ? `${baseUrl.replace(/\/$/, '')}?${search}` : undefined
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('[PREVIEW_LINK_ERROR]', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to create preview link',
+          details: [error.message]
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
+  /**
+   * Describe the active routing configuration
+   * @returns {Object}
+   */
+  describeRouting() {
+    return {
+      effective: config.routing,
+      rules: getRoutingRules(),
+      revision: this.historyService.getLatest()?.revision || null,
+      versions: config.versions,
+      envOverrides: getEnvOverrides()
+    };
+  }
+
+  /**
+   * Send a 404 for an unknown revision
+   * @param {Object} res - Express response object
+   * @param {string} revision
+   */
+  sendRevisionNotFound(res, revision) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: `Routing revision ${revision} not found`
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Send an error response; validation errors keep the last good configuration
+   * @param {Object} res - Express response object
+   * @param {Error} error
+   * @param {string} fallbackMessage
+   */
+  sendError(res, error, fallbackMessage) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status === 400
+          ? 'Routing rules rejected; the last good configuration is still active'
+          : fallbackMessage,
+        details: error.errors || [error.message]
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
+
+export default AdminController;
@@ -1,4 +1,7 @@
 import PricingService from '../services/PricingService.js';
+import config from '../config/index.js';
+import { getVersionNames, isValidVersion } from '../utils/helpers.js';
+import { buildSimulatedRequest, validateSimulatedRequest } from '../utils/simulatedRequest.js';
 
 class PricingController {
   constructor() {
@@ -35,13 +38,17 @@ class PricingController {
       });
       
     } catch (error) {
+      if (error.status === 503) {
+        return this.sendMaintenanceUnavailable(res, error);
+      }
+      
       console.error('[PRICING_ERROR]', error);
       
       res.status(500).json({
         success: false,
         error: {
           message: 'Failed to retrieve pricing data',
-          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+          details: process.env.NODE_ENV === 'development' ? (error.details || error.message) : undefined
         },
         meta: {
           timestamp: new Date().toISOString()
@@ -90,10 +97,10 @@ class PricingController {
   async getHealth(req, res) {
     try {
       const health = await this.pricingService.healthCheck();
-      const statusCode = health.status === 'healthy' ? 200 : 503;
+      const statusCode = health.status === 'unhealthy' ? 503 : 200;
       
       res.status(statusCode).json({
-        success: health.status === 'healthy',
+        success: health.status !== 'unhealthy',
         data: health,
         meta: {
           timestamp: new Date().toISOString()
@@ -150,6 +157,148 @@ class PricingController {
     }
   }
 
+  /**
+   * Handle GET /pricing/versions requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getVersions(req, res) {
+    res.status(200).json({
+      success: true,
+      data: {
+        versions: config.versions.map(({ name, label, stable }) => ({ name, label, stable })),
+        defaultVersion: config.routing.defaultVersion
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle GET /pricing/shadow requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getShadow(req, res) {
+    res.status(200).json({
+      success: true,
+      data: this.pricingService.shadowService.getReport(),
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle POST /pricing/shadow/reset requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetShadow(req, res) {
+    this.pricingService.shadowService.reset();
+    
+    console.log('[SHADOW] Results reset');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Shadow results reset successfully',
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle POST /pricing/explain requests: trace how a simulated
+   * request ({ ip, headers, cookies, query, at }) would be routed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async explainRouting(req, res) {
+    const errors = validateSimulatedRequest(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid simulated request',
+          details: errors
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    const now = req.body.at ? new Date(req.body.at) : new Date();
+    const decision = this.pricingService.explainRouting(buildSimulatedRequest(req.body), { now });
+    
+    res.status(200).json({
+      success: true,
+      data: decision,
+      meta: {
+        evaluatedAt: now.toISOString(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Handle GET /pricing/rollout requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRollout(req, res) {
+    res.status(200).json({
+      success: true,
+      data: this.pricingService.routingService.rolloutService.getStatus(),
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Serve a version's draft for preview (?draft=true). Drafts are never
+   * cached by clients, so an edit shows up on the next reload.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} version 
+   */
+  async getDraftPreview(req, res, version) {
+    try {
+      const pricingData = await this.pricingService.getDraftPricing(req, version);
+      
+      console.log(`[PRICING_DRAFT_PREVIEW] Version: ${version}, Admin: ${req.adminUser}`);
+      
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: pricingData,
+        meta: {
+          timestamp: new Date().toISOString(),
+          forced: true,
+          draft: true
+        }
+      });
+      
+    } catch (error) {
+      console.error('[PRICING_DRAFT_PREVIEW_ERROR]', error.message);
+      
+      res.status(error.status || 500).json({
+        success: false,
+        error: {
+          message: error.status ? error.message : 'Failed to preview draft',
+          details: error.details || (!error.status && process.env.NODE_ENV === 'development' ? error.message : undefined)
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+
   /**
    * Handle requests to force a specific version (for testing)
    * @param {Object} req - Express request object
@@ -159,29 +308,27 @@ class PricingController {
     try {
       const { version } = req.params;
       
-      if (!['blue', 'green'].includes(version)) {
+      if (!isValidVersion(version)) {
         return res.status(400).json({
           success: false,
           error: {
-            message: 'Invalid version. Must be "blue" or "green"'
+            message: `Invalid version. Must be one of: ${getVersionNames().join(', ')}`
           }
         });
       }
 
+      if (req.query.draft === 'true') {
+        return await this.getDraftPreview(req, res, version);
+      }
+
       const startTime = Date.now();
       
-      // Temporarily override the routing to force specific version
-      const originalDetermineVersion = this.pricingService.routingService.determineVersion;
-      this.pricingService.routingService.determineVersion = () => version;
-      
-      const pricingData = await this.pricingService.getPricing(req, res);
-      
-      // Restore original routing function
-      this.pricingService.routingService.determineVersion = originalDetermineVersion;
+      const pricingData = await this.pricingService.getPricing(req, res, { forcedVersion: version });
       
       const responseTime = Date.now() - startTime;
       
-      console.log(`[PRICING_FORCED] Version: ${version}, Response Time: ${responseTime}ms`);
+      console.log(`[PRICING_FORCED] Version: ${version}, Served: ${pricingData.routing.version}, ` +
+                  `Reason: ${pricingData.routing.routingReason}, Response Time: ${responseTime}ms`);
       
       res.status(200).json({
         success: true,
@@ -194,6 +341,10 @@ class PricingController {
       });
       
     } catch (error) {
+      if (error.status === 503) {
+        return this.sendMaintenanceUnavailable(res, error);
+      }
+      
       console.error('[PRICING_FORCED_ERROR]', error);
       
       res.status(500).json({
@@ -205,6 +356,26 @@ class PricingController {
       });
     }
   }
+
+  /**
+   * Send a 503 while maintenance mode has nothing cached to serve
+   * @param {Object} res - Express response object
+   * @param {Error} error - Carries `retryAfter` in seconds
+   */
+  sendMaintenanceUnavailable(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(503).json({
+      success: false,
+      error: {
+        message: error.message,
+        maintenance: true
+      },
+      meta: {
+        retryAfter: error.retryAfter,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
 }
 
 export default PricingController;
\ No newline at end of file
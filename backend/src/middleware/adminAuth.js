@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+let warnedUnprotected = false;
+
+/**
+ * Constant-time comparison of two tokens
+ * @param {string} provided 
+ * @param {string} expected 
+ * @returns {boolean}
+ */
+const tokensMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length &&
+         crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+// Require `Authorization: Bearer <ADMIN_API_TOKEN>` on admin endpoints.
+// Without a configured token the admin API is refused, unless
+// ADMIN_AUTH_DISABLED=true opens it explicitly.
+const adminAuth = (req, res, next) => {
+  const { apiToken, authDisabled } = config.admin;
+
+  if (!apiToken) {
+    if (authDisabled) {
+      if (!warnedUnprotected) {
+        console.warn('[ADMIN] ADMIN_API_TOKEN is not set and ADMIN_AUTH_DISABLED=true; admin API is unprotected');
+        warnedUnprotected = true;
+      }
+      req.adminUser = req.headers['x-admin-user'] || 'anonymous';
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Admin API is disabled: ADMIN_API_TOKEN is not configured (set ADMIN_AUTH_DISABLED=true to allow unauthenticated access)'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token || !tokensMatch(token, apiToken)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid or missing admin token'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.adminUser = req.headers['x-admin-user'] || 'admin';
+  next();
+};
+
+export default adminAuth;
@@ -27,19 +27,21 @@ const corsOptions = {
     }
   },
   credentials: config.cors.credentials,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
     'X-Requested-With',
     'X-Version', // Custom header for version routing
+    'X-User-Id', // Authenticated user ID for percentage bucketing
     'Accept',
     'Origin'
   ],
   exposedHeaders: [
     'X-Total-Count',
     'X-Version-Served',
-    'X-Response-Time'
+    'X-Response-Time',
+    'Retry-After'
   ],
   maxAge: 86400 // 24 hours
 };
@@ -61,7 +63,7 @@ const customCorsMiddleware = (req, res, next) => {
 const handlePreflightRequest = (req, res, next) => {
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
-    res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
     res.header('Access-Control-Allow-Headers', corsOptions.allowedHeaders.join(','));
     res.header('Access-Control-Allow-Credentials', 'true');
     res.header('Access-Control-Max-Age', '86400');
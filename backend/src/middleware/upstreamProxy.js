@@ -0,0 +1,23 @@
+import ProxyService from '../services/ProxyService.js';
+import liveRouting, { trafficStats, upstreamHealth } from '../services/liveRouting.js';
+
+const proxyService = new ProxyService(liveRouting, upstreamHealth, trafficStats);
+
+/**
+ * Whether a request will be forwarded upstream (its body must stay unparsed)
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+export const isProxiedRequest = (req) => proxyService.isProxiedRequest(req);
+
+// Reverse-proxy mode: forward requests under `proxy.mountPath` to the
+// upstream of the version the router picks
+const upstreamProxy = (req, res, next) => {
+  if (!proxyService.isProxiedRequest(req)) {
+    return next();
+  }
+
+  proxyService.forward(req, res).catch(next);
+};
+
+export default upstreamProxy;
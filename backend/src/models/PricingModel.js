@@ -1,24 +1,33 @@
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import config, { configEvents } from '../config/index.js';
+import { getVersionNames, isValidVersion } from '../utils/helpers.js';
+import { joinPath, validateSchema } from '../utils/jsonSchema.js';
+import { logInfo } from '../utils/log.js';
+import { PRICING_SCHEMA } from './pricingSchema.js';
+import { createPricingStore } from './storage/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
 
 class PricingModel {
-  constructor() {
-    this.bluePricingPath = path.join(__dirname, '../data/blue-pricing.json');
-    this.greenPricingPath = path.join(__dirname, '../data/green-pricing.json');
+  /**
+   * @param {Object} [options]
+   * @param {FileStore|SqliteStore} [options.store] - Where pricing documents are
+   *   read from (defaults to the store selected by PRICING_STORAGE)
+   */
+  constructor({ store = createPricingStore() } = {}) {
+    this.store = store;
     this.cache = new Map();
     this.cacheExpiry = new Map();
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
     this.cacheHitCount = 0;
     this.cacheMissCount = 0;
+    // Last rejected change per version, while its last good copy is served
+    this.rejectedChanges = new Map();
   }
 
   /**
    * Get pricing data for a specific version
-   * @param {string} version - 'blue' or 'green'
+   * @param {string} version - A registered version name
    * @returns {Object} Pricing data
    */
   async getPricingData(version) {
@@ -32,57 +41,316 @@ class PricingModel {
 
     this.cacheMissCount++;
 
+    return this.loadPricingData(version);
+  }
+
+  /**
+   * Read and validate a version's pricing document, caching it when valid.
+   * A broken document never replaces a cached good copy: the good copy
+   * keeps being served and the change is recorded as rejected.
+   * @param {string} version 
+   * @returns {Promise<Object>} Pricing data
+   */
+  async loadPricingData(version) {
+    const cacheKey = `pricing-${version}`;
+    let pricingData;
+    
+    if (!isValidVersion(version)) {
+      throw new Error(`Unknown pricing version: ${version}`);
+    }
+    
     try {
-      const filePath = version === 'blue' ? this.bluePricingPath : this.greenPricingPath;
-      const data = await fs.promises.readFile(filePath, 'utf8');
-      const pricingData = JSON.parse(data);
-      
-      // Add timestamp for tracking
-      pricingData.loadedAt = new Date().toISOString();
-      pricingData.version = version;
-      
-      // Cache the data
-      this.cache.set(cacheKey, pricingData);
-      this.cacheExpiry.set(cacheKey, Date.now() + this.CACHE_DURATION);
-      
-      return pricingData;
+      pricingData = await this.store.read(version);
     } catch (error) {
+      if (this.cache.has(cacheKey)) {
+        return this.keepLastGoodCopy(version, [{ path: '$', message: `cannot be loaded: ${error.message}` }]);
+      }
       console.error(`Error loading ${version} pricing data:`, error);
       throw new Error(`Failed to load ${version} pricing data`);
     }
+    
+    // Add timestamp for tracking
+    pricingData.loadedAt = new Date().toISOString();
+    pricingData.version = version;
+    
+    const errors = this.getValidationErrors(pricingData);
+    if (errors.length > 0) {
+      // Without a good copy the caller validates and reports the errors
+      return this.cache.has(cacheKey) ? this.keepLastGoodCopy(version, errors) : pricingData;
+    }
+    
+    // Cache the data
+    this.cache.set(cacheKey, pricingData);
+    this.cacheExpiry.set(cacheKey, Date.now() + this.CACHE_DURATION);
+    this.rejectedChanges.delete(version);
+    
+    return pricingData;
   }
 
   /**
-   * Validate pricing data structure
-   * @param {Object} pricingData 
-   * @returns {boolean}
+   * Keep serving the cached copy of a version whose document no longer loads or validates
+   * @param {string} version 
+   * @param {Array<Object>} errors - { path, message } per problem
+   * @returns {Object} The cached pricing data
    */
-  validatePricingData(pricingData) {
-    const requiredFields = ['version', 'title', 'plans'];
-    const missingFields = requiredFields.filter(field => !pricingData[field]);
+  keepLastGoodCopy(version, errors) {
+    const cacheKey = `pricing-${version}`;
+    const source = this.store.describe(version);
+    
+    this.rejectedChanges.set(version, { source, rejectedAt: new Date().toISOString(), errors });
+    this.cacheExpiry.set(cacheKey, Date.now() + this.CACHE_DURATION);
     
-    if (missingFields.length > 0) {
-      console.error(`Missing required fields: ${missingFields.join(', ')}`);
-      return false;
+    console.error(`[PRICING] Rejected change to ${source}, serving the copy loaded at ` +
+                  `${this.cache.get(cacheKey).loadedAt}: ${errors.map(({ path: at, message }) => `${at} ${message}`).join('; ')}`);
+    
+    return this.cache.get(cacheKey);
+  }
+
+  /**
+   * Get the last rejected change of a version, if its last good copy is being served
+   * @param {string} version 
+   * @returns {Object|null} { source, rejectedAt, errors }
+   */
+  getRejectedChange(version) {
+    return this.rejectedChanges.get(version) || null;
+  }
+
+  /**
+   * Reload a version from storage now, e.g. after it changed
+   * @param {string} version 
+   * @returns {Promise<Object>} Cache status of the version, with the stored document's validation errors
+   */
+  async reloadVersion(version) {
+    let errors;
+    
+    try {
+      const pricingData = await this.loadPricingData(version);
+      errors = this.getRejectedChange(version)?.errors || this.getValidationErrors(pricingData);
+    } catch (error) {
+      errors = [{ path: '$', message: error.message }];
     }
+    
+    return { ...this.getCacheStatus(version), valid: errors.length === 0, errors };
+  }
 
-    if (!Array.isArray(pricingData.plans) || pricingData.plans.length === 0) {
-      console.error('Plans must be a non-empty array');
-      return false;
+  /**
+   * Read a version's stored document as is, bypassing the cache and validation
+   * @param {string} version 
+   * @param {string} [slot] - 'published', 'draft' or 'previous'
+   * @returns {Promise<Object>}
+   */
+  async readStoredDocument(version, slot = 'published') {
+    if (!isValidVersion(version)) {
+      throw new Error(`Unknown pricing version: ${version}`);
     }
+    
+    return this.store.read(version, slot);
+  }
+
+  /**
+   * Whether a version has a stored document in a slot
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {Promise<boolean>}
+   */
+  async hasStoredDocument(version, slot = 'published') {
+    return this.store.has(version, slot);
+  }
+
+  /**
+   * Validate and store a version's pricing document. A published document
+   * is reloaded so the next request serves it, and the one it replaces
+   * becomes the previous copy so the change can be rolled back; drafts are
+   * never cached.
+   * @param {string} version 
+   * @param {Object} document 
+   * @param {string} [slot] - 'published' or 'draft'
+   * @returns {Promise<Object>} The stored pricing data
+   * @throws {Error} With status 400 and `details` when the document is invalid
+   */
+  async savePricingData(version, document, slot = 'published') {
+    const stored = { ...document };
+    delete stored.loadedAt;
+    
+    const errors = this.getValidationErrors(stored);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid pricing data for version: ${version}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+    
+    if (slot !== 'published') {
+      await this.store.write(version, stored, slot);
+      return this.store.read(version, slot);
+    }
+    
+    await this.store.replace(version, stored);
+    this.clearCache(version);
+    return this.loadPricingData(version);
+  }
+
+  /**
+   * Delete a version's draft
+   * @param {string} version 
+   */
+  async discardDraft(version) {
+    await this.store.remove(version, 'draft');
+  }
+
+  /**
+   * Publish a version's draft atomically, keeping the published document
+   * as the previous copy, and serve it from the next request on
+   * @param {string} version 
+   * @returns {Promise<Object>} The published pricing data
+   */
+  async publishDraft(version) {
+    await this.store.publish(version);
+    this.clearCache(version);
+    
+    return this.loadPricingData(version);
+  }
+
+  /**
+   * Swap a version's published document with its previous copy, and serve
+   * it from the next request on
+   * @param {string} version 
+   * @returns {Promise<Object>} The restored pricing data
+   */
+  async rollbackPublished(version) {
+    await this.store.rollback(version);
+    this.clearCache(version);
+    
+    return this.loadPricingData(version);
+  }
+
+  /**
+   * Reload a version whenever it changes in storage. Versions whose pricing
+   * file is reassigned in routing-rules.json are dropped from the cache.
+   * @returns {Function} Stops watching
+   */
+  watchPricingData() {
+    const stopWatchingStore = this.store.watch(async (version) => {
+      if (!isValidVersion(version)) {
+        return;
+      }
+      
+      const { valid, source } = await this.reloadVersion(version);
+      if (valid) {
+        logInfo(`[PRICING] Reloaded ${source} (${version})`);
+      }
+    });
+    
+    const onRoutingChanged = ({ previousVersions }) => {
+      for (const { name, pricingFile } of config.versions) {
+        const before = previousVersions.find(version => version.name === name);
+        if (before && before.pricingFile !== pricingFile) {
+          this.clearCache(name);
+        }
+      }
+    };
+    configEvents.on('routing-changed', onRoutingChanged);
+    
+    return () => {
+      stopWatchingStore();
+      configEvents.off('routing-changed', onRoutingChanged);
+    };
+  }
 
-    // Validate each plan
-    for (const plan of pricingData.plans) {
-      const requiredPlanFields = ['id', 'name', 'price', 'features'];
-      const missingPlanFields = requiredPlanFields.filter(field => !plan[field]);
+  /**
+   * Validate pricing data against the pricing schema, plus the checks a
+   * schema cannot express: unique plan IDs, at most one popular plan and
+   * currencies the frontend can format
+   * @param {Object} pricingData 
+   * @returns {Array<Object>} { path, message } per problem, empty when valid
+   */
+  getValidationErrors(pricingData) {
+    const errors = validateSchema(pricingData, PRICING_SCHEMA);
+    
+    if (!Array.isArray(pricingData?.plans)) {
+      return errors;
+    }
+    
+    const seenIds = new Map();
+    let popularIndex = null;
+    
+    pricingData.plans.forEach((plan, i) => {
+      const planPath = joinPath('$.plans', i);
+      
+      if (seenIds.has(plan?.id)) {
+        errors.push({ path: `${planPath}.id`, message: `duplicates the id of $.plans[${seenIds.get(plan.id)}] ("${plan.id}")` });
+      } else if (plan?.id !== undefined) {
+        seenIds.set(plan.id, i);
+      }
       
-      if (missingPlanFields.length > 0) {
-        console.error(`Plan ${plan.id || 'unknown'} missing fields: ${missingPlanFields.join(', ')}`);
-        return false;
+      if (plan?.popular === true) {
+        if (popularIndex !== null) {
+          errors.push({ path: `${planPath}.popular`, message: `only one plan may be popular; $.plans[${popularIndex}] already is` });
+        } else {
+          popularIndex = i;
+        }
+      }
+    });
+    
+    const currencies = [
+      ['$.metadata.currency', pricingData.metadata?.currency],
+      ...pricingData.plans.map((plan, i) => [`${joinPath('$.plans', i)}.currency`, plan?.currency])
+    ];
+    for (const [currencyPath, currency] of currencies) {
+      if (/^[A-Z]{3}$/.test(currency) && !SUPPORTED_CURRENCIES.has(currency)) {
+        errors.push({ path: currencyPath, message: `is not a known ISO 4217 currency: ${currency}` });
       }
     }
+    
+    return errors;
+  }
 
-    return true;
+  /**
+   * Check pricing data against the schema
+   * @param {Object} pricingData 
+   * @returns {boolean}
+   */
+  validatePricingData(pricingData) {
+    return this.getValidationErrors(pricingData).length === 0;
+  }
+
+  /**
+   * Read and validate a pricing file, bypassing the cache
+   * @param {string} filePath 
+   * @returns {Promise<Array<Object>>} { path, message } per problem
+   */
+  async validatePricingFile(filePath) {
+    let pricingData;
+    
+    try {
+      pricingData = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      const message = error instanceof SyntaxError ? `is not valid JSON: ${error.message}` : `cannot be read: ${error.message}`;
+      return [{ path: '$', message }];
+    }
+    
+    return this.getValidationErrors(pricingData);
+  }
+
+  /**
+   * Validate the stored pricing document of every registered version,
+   * bypassing the cache
+   * @returns {Promise<Object>} { version: { source, valid, errors } }
+   */
+  async validateAllVersions() {
+    const results = {};
+    
+    for (const version of this.getAvailableVersions()) {
+      let errors;
+      try {
+        errors = this.getValidationErrors(await this.store.read(version));
+      } catch (error) {
+        errors = [{ path: '$', message: `cannot be loaded: ${error.message}` }];
+      }
+      results[version] = { source: this.store.describe(version), valid: errors.length === 0, errors };
+    }
+    
+    return results;
   }
 
   /**
@@ -90,15 +358,44 @@ class PricingModel {
    * @returns {Array<string>}
    */
   getAvailableVersions() {
-    return ['blue', 'green'];
+    return getVersionNames();
   }
 
   /**
-   * Clear cache
+   * Clear the cache of one version, or of all versions. The next request
+   * reads from storage again, with no good copy to fall back on.
+   * @param {string} [version] 
    */
-  clearCache() {
+  clearCache(version) {
+    if (version) {
+      this.cache.delete(`pricing-${version}`);
+      this.cacheExpiry.delete(`pricing-${version}`);
+      this.rejectedChanges.delete(version);
+      return;
+    }
+    
     this.cache.clear();
     this.cacheExpiry.clear();
+    this.rejectedChanges.clear();
+  }
+
+  /**
+   * Describe the cache entry of a version
+   * @param {string} version 
+   * @returns {Object} { version, source, cached, loadedAt, expiresAt, rejectedChange }
+   */
+  getCacheStatus(version) {
+    const cacheKey = `pricing-${version}`;
+    const cached = this.cache.has(cacheKey);
+    
+    return {
+      version,
+      source: this.store.describe(version),
+      cached,
+      loadedAt: cached ? this.cache.get(cacheKey).loadedAt : null,
+      expiresAt: cached ? new Date(this.cacheExpiry.get(cacheKey)).toISOString() : null,
+      rejectedChange: this.getRejectedChange(version)
+    };
   }
 
   /**
@@ -107,9 +404,14 @@ class PricingModel {
    */
   getCacheStats() {
     return {
+      storage: this.store.name,
       cacheSize: this.cache.size,
       cachedVersions: Array.from(this.cache.keys()),
-      cacheHitRate: this.cacheHitCount / (this.cacheHitCount + this.cacheMissCount) || 0
+      cacheHitRate: this.cacheHitCount / (this.cacheHitCount + this.cacheMissCount) || 0,
+      versions: this.getAvailableVersions().reduce((versions, version) => {
+        versions[version] = this.getCacheStatus(version);
+        return versions;
+      }, {})
     };
   }
 }
@@ -0,0 +1,62 @@
+// Card colors the frontend has styles for (PricingCard colorMap)
+export const PLAN_COLORS = ['blue', 'purple', 'emerald', 'green', 'gold'];
+
+// Billing periods, shown after the price as "/monthly"
+export const BILLING_PERIODS = ['monthly', 'quarterly', 'yearly'];
+
+const currency = {
+  type: 'string',
+  pattern: '^[A-Z]{3}$',
+  patternMessage: 'must be a three-letter ISO 4217 currency code such as USD'
+};
+
+/**
+ * Schema of one plan in a pricing document
+ */
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'price', 'features'],
+  additionalProperties: false,
+  properties: {
+    id: {
+      type: 'string',
+      pattern: '^[a-z0-9][a-z0-9-]*$',
+      patternMessage: 'must be lowercase letters, digits and dashes (e.g. "pro-annual")'
+    },
+    name: { type: 'string', minLength: 1 },
+    // 0 is a free tier
+    price: { type: 'number', minimum: 0 },
+    currency,
+    billing: { type: 'string', enum: BILLING_PERIODS },
+    popular: { type: 'boolean' },
+    description: { type: 'string' },
+    features: { type: 'array', items: { type: 'string', minLength: 1 } },
+    buttonText: { type: 'string', minLength: 1 },
+    color: { type: 'string', enum: PLAN_COLORS }
+  }
+};
+
+/**
+ * Schema of a pricing document (backend/src/data/<version>-pricing.json)
+ */
+export const PRICING_SCHEMA = {
+  type: 'object',
+  required: ['version', 'title', 'plans'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    subtitle: { type: 'string' },
+    plans: { type: 'array', minItems: 1, items: PLAN_SCHEMA },
+    metadata: {
+      type: 'object',
+      properties: {
+        lastUpdated: { type: 'string', format: 'date' },
+        region: { type: 'string' },
+        currency
+      }
+    },
+    // Added when the file is loaded
+    loadedAt: { type: 'string', format: 'date-time' }
+  }
+};
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../../config/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Pricing store backed by one JSON file per version, named by the
+ * version's `pricingFile` in routing-rules.json. A version's draft and
+ * previously published copies sit next to it, e.g. green-pricing.draft.json
+ * and green-pricing.previous.json. Changes to several of these files are
+ * committed through a journal, green-pricing.journal.json.
+ */
+class FileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Directory holding the pricing files
+   */
+  constructor({ dataDir = path.join(__dirname, '../../data') } = {}) {
+    this.name = 'file';
+    this.dataDir = dataDir;
+    
+    // Finish changes a crash interrupted after they were committed
+    for (const { name } of config.versions) {
+      try {
+        this.recover(name);
+      } catch (error) {
+        console.error(`[PRICING] Could not recover the pending change of ${name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Resolve the pricing file registered for a version
+   * @param {string} version 
+   * @param {string} [slot] - 'published', 'draft', 'previous' or 'journal'
+   * @returns {string} Absolute file path
+   */
+  getFilePath(version, slot = 'published') {
+    const entry = config.versions.find(({ name }) => name === version);
+    
+    if (!entry) {
+      throw new Error(`Unknown pricing version: ${version}`);
+    }
+    
+    const filePath = path.resolve(this.dataDir, entry.pricingFile);
+    const relativePath = path.relative(path.resolve(this.dataDir), filePath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`Pricing file of ${version} is outside the data directory: ${entry.pricingFile}`);
+    }
+    
+    if (slot === 'published') {
+      return filePath;
+    }
+    
+    const extension = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - extension.length)}.${slot}${extension}`;
+  }
+
+  /**
+   * Name the place a version is stored, for logs and status reports
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {string}
+   */
+  describe(version, slot = 'published') {
+    return path.basename(this.getFilePath(version, slot));
+  }
+
+  /**
+   * Read a version's pricing document
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {Promise<Object>}
+   */
+  async read(version, slot = 'published') {
+    return JSON.parse(await fs.promises.readFile(this.getFilePath(version, slot), 'utf8'));
+  }
+
+  /**
+   * Whether a version has a document in a slot
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {Promise<boolean>}
+   */
+  async has(version, slot = 'published') {
+    return fs.existsSync(this.getFilePath(version, slot));
+  }
+
+  /**
+   * Replace a version's pricing document. The file is written next to the
+   * target and renamed over it, so readers never see a partial write.
+   * @param {string} version 
+   * @param {Object} document 
+   * @param {string} [slot] 
+   */
+  async write(version, document, slot = 'published') {
+    const filePath = this.getFilePath(version, slot);
+    
+    await this.withTempFile(filePath, async tempPath => {
+      await fs.promises.writeFile(tempPath, `${JSON.stringify(document, null, 2)}\n`);
+      await fs.promises.rename(tempPath, filePath);
+    });
+  }
+
+  /**
+   * Delete a version's document from a slot, if it has one
+   * @param {string} version 
+   * @param {string} slot 
+   */
+  async remove(version, slot) {
+    await fs.promises.rm(this.getFilePath(version, slot), { force: true });
+  }
+
+  /**
+   * Replace a version's published document, keeping the current one as the
+   * previous copy, in one commit
+   * @param {string} version 
+   * @param {Object} document 
+   */
+  async replace(version, document) {
+    const filePath = this.getFilePath(version);
+
+    await this.commit(version, {
+      published: document,
+      ...(fs.existsSync(filePath) && { previous: filePath })
+    });
+  }
+
+  /**
+   * Make a version's draft its published document, keeping the published
+   * one as the previous copy, in one commit
+   * @param {string} version 
+   */
+  async publish(version) {
+    await this.commit(version, {
+      published: this.getFilePath(version, 'draft'),
+      previous: this.getFilePath(version)
+    }, { removeDraft: true });
+  }
+
+  /**
+   * Swap a version's published document with its previous copy, in one
+   * commit, so rolling back twice restores the document that was rolled back
+   * @param {string} version 
+   */
+  async rollback(version) {
+    await this.commit(version, {
+      published: this.getFilePath(version, 'previous'),
+      previous: this.getFilePath(version)
+    });
+  }
+
+  /**
+   * Replace several of a version's files as one change. The new files are
+   * staged next to their targets, then a journal listing the renames is
+   * renamed into place: that single rename commits the change. The renames
+   * are applied right away, or by recover() after a crash, so the change is
+   * either not made at all or made completely.
+   * @param {string} version 
+   * @param {Object} sources - New content per slot: a document, or the path of a file to copy
+   * @param {Object} [options]
+   * @param {boolean} [options.removeDraft] - Delete the draft as part of the change
+   */
+  async commit(version, sources, { removeDraft = false } = {}) {
+    this.recover(version);
+
+    const journal = { renames: [], removes: removeDraft ? [this.getFilePath(version, 'draft')] : [] };
+    try {
+      for (const [slot, source] of Object.entries(sources)) {
+        const targetPath = this.getFilePath(version, slot);
+        const stagedPath = `${targetPath}.staged`;
+
+        if (typeof source === 'string') {
+          await fs.promises.copyFile(source, stagedPath);
+        } else {
+          await fs.promises.writeFile(stagedPath, `${JSON.stringify(source, null, 2)}\n`);
+        }
+        journal.renames.push([stagedPath, targetPath]);
+      }
+
+      const journalPath = this.getFilePath(version, 'journal');
+      await this.withTempFile(journalPath, async tempPath => {
+        await fs.promises.writeFile(tempPath, JSON.stringify(journal));
+        await fs.promises.rename(tempPath, journalPath);
+      });
+    } catch (error) {
+      await Promise.all(journal.renames.map(([stagedPath]) => fs.promises.rm(stagedPath, { force: true })));
+      throw error;
+    }
+
+    this.recover(version);
+  }
+
+  /**
+   * Finish a version's committed change, or discard one that was staged but
+   * never committed. Renames whose staged file is gone were already applied,
+   * so a change can be finished any number of times.
+   * @param {string} version 
+   */
+  recover(version) {
+    const journalPath = this.getFilePath(version, 'journal');
+
+    if (!fs.existsSync(journalPath)) {
+      for (const slot of ['published', 'previous']) {
+        fs.rmSync(`${this.getFilePath(version, slot)}.staged`, { force: true });
+      }
+      return;
+    }
+
+    const { renames, removes } = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    for (const [stagedPath, targetPath] of renames) {
+      if (fs.existsSync(stagedPath)) {
+        fs.renameSync(stagedPath, targetPath);
+      }
+    }
+    for (const filePath of removes) {
+      fs.rmSync(filePath, { force: true });
+    }
+    fs.rmSync(journalPath);
+  }
+
+  /**
+   * Run a write through a temporary file next to its target, deleting the
+   * temporary file if the write fails
+   * @param {string} targetPath 
+   * @param {Function} task - Receives the temporary path
+   */
+  async withTempFile(targetPath, task) {
+    const tempPath = `${targetPath}.${process.pid}.tmp`;
+    
+    try {
+      await task(tempPath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * List the registered versions whose pricing file exists
+   * @returns {Promise<Array<string>>}
+   */
+  async listVersions() {
+    return config.versions
+      .filter(({ name }) => fs.existsSync(this.getFilePath(name)))
+      .map(({ name }) => name);
+  }
+
+  /**
+   * Call `onChange` with the version whenever its published file changes
+   * on disk. Editors often replace the file on save, so the directory is watched.
+   * @param {Function} onChange - Called with the version name
+   * @returns {Function} Stops watching
+   */
+  watch(onChange) {
+    const timers = new Map();
+    
+    const watcher = fs.watch(this.dataDir, (eventType, filename) => {
+      const versions = config.versions
+        .filter(({ pricingFile }) => path.join(this.dataDir, pricingFile) === path.join(this.dataDir, filename || ''))
+        .map(({ name }) => name);
+      
+      if (versions.length === 0) {
+        return;
+      }
+      
+      clearTimeout(timers.get(filename));
+      timers.set(filename, setTimeout(() => {
+        timers.delete(filename);
+        versions.forEach(onChange);
+      }, config.hotReload.debounceMs));
+    });
+    
+    return () => {
+      timers.forEach(timer => clearTimeout(timer));
+      watcher.close();
+    };
+  }
+
+  /**
+   * Release resources held by the store
+   */
+  close() {}
+}
+
+export default FileStore;
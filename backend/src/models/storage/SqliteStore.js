@@ -0,0 +1,396 @@
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Schema changes, applied in order; the database's user_version counts those applied
+const MIGRATIONS = [
+  // 1: versions, plans and features
+  `
+    CREATE TABLE IF NOT EXISTS pricing_versions (
+      version TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      subtitle TEXT,
+      metadata TEXT,
+      revision INTEGER NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS plans (
+      version TEXT NOT NULL REFERENCES pricing_versions (version) ON DELETE CASCADE,
+      id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      price REAL NOT NULL,
+      currency TEXT,
+      billing TEXT,
+      popular INTEGER,
+      description TEXT,
+      button_text TEXT,
+      color TEXT,
+      PRIMARY KEY (version, id)
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_features (
+      version TEXT NOT NULL,
+      plan_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      feature TEXT NOT NULL,
+      PRIMARY KEY (version, plan_id, position),
+      FOREIGN KEY (version, plan_id) REFERENCES plans (version, id) ON DELETE CASCADE
+    );
+  `,
+  // 2: draft and previous copies of a version next to the published one
+  `
+    CREATE TABLE pricing_documents (
+      version TEXT NOT NULL,
+      slot TEXT NOT NULL,
+      title TEXT NOT NULL,
+      subtitle TEXT,
+      metadata TEXT,
+      revision INTEGER NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (version, slot)
+    );
+
+    CREATE TABLE plans_v2 (
+      version TEXT NOT NULL,
+      slot TEXT NOT NULL,
+      id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      price REAL NOT NULL,
+      currency TEXT,
+      billing TEXT,
+      popular INTEGER,
+      description TEXT,
+      button_text TEXT,
+      color TEXT,
+      PRIMARY KEY (version, slot, id),
+      FOREIGN KEY (version, slot) REFERENCES pricing_documents (version, slot)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    );
+
+    CREATE TABLE plan_features_v2 (
+      version TEXT NOT NULL,
+      slot TEXT NOT NULL,
+      plan_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      feature TEXT NOT NULL,
+      PRIMARY KEY (version, slot, plan_id, position),
+      FOREIGN KEY (version, slot, plan_id) REFERENCES plans_v2 (version, slot, id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+    );
+
+    INSERT INTO pricing_documents
+      SELECT version, 'published', title, subtitle, metadata, revision, updated_at FROM pricing_versions;
+    INSERT INTO plans_v2
+      SELECT version, 'published', id, position, name, price, currency, billing, popular, description, button_text, color
+      FROM plans;
+    INSERT INTO plan_features_v2
+      SELECT version, 'published', plan_id, position, feature FROM plan_features;
+
+    DROP TABLE plan_features;
+    DROP TABLE plans;
+    DROP TABLE pricing_versions;
+    ALTER TABLE plans_v2 RENAME TO plans;
+    ALTER TABLE plan_features_v2 RENAME TO plan_features;
+  `
+];
+
+// Plan document fields and the columns holding them
+const PLAN_COLUMNS = {
+  currency: 'currency',
+  billing: 'billing',
+  description: 'description',
+  buttonText: 'button_text',
+  color: 'color'
+};
+
+/**
+ * Pricing store backed by an embedded SQLite database, with versions,
+ * plans and features in their own tables. Every version has a published
+ * document and may have a draft and a previous copy, told apart by `slot`.
+ * Every write replaces a document in one transaction.
+ */
+class SqliteStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Database file, created when missing
+   * @param {number} [options.pollIntervalMs] - How often watch() checks for changes
+   */
+  constructor({ filePath, pollIntervalMs = 2000 }) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.pollIntervalMs = pollIntervalMs;
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    this.db.pragma('foreign_keys = ON');
+
+    this.statements = {
+      document: this.db.prepare('SELECT * FROM pricing_documents WHERE version = ? AND slot = ?'),
+      plans: this.db.prepare('SELECT * FROM plans WHERE version = ? AND slot = ? ORDER BY position'),
+      features: this.db.prepare(`
+        SELECT plan_id, feature FROM plan_features WHERE version = ? AND slot = ? ORDER BY plan_id, position
+      `),
+      revisions: this.db.prepare("SELECT version, revision FROM pricing_documents WHERE slot = 'published'"),
+      deleteDocument: this.db.prepare('DELETE FROM pricing_documents WHERE version = ? AND slot = ?'),
+      moveDocument: this.db.prepare('UPDATE pricing_documents SET slot = @to WHERE version = @version AND slot = @from'),
+      setRevision: this.db.prepare('UPDATE pricing_documents SET revision = ?, updated_at = ? WHERE version = ? AND slot = ?'),
+      insertDocument: this.db.prepare(`
+        INSERT INTO pricing_documents (version, slot, title, subtitle, metadata, revision, updated_at)
+        VALUES (@version, @slot, @title, @subtitle, @metadata, @revision, @updatedAt)
+      `),
+      insertPlan: this.db.prepare(`
+        INSERT INTO plans (version, slot, id, position, name, price, currency, billing, popular, description, button_text, color)
+        VALUES (@version, @slot, @id, @position, @name, @price, @currency, @billing, @popular, @description, @button_text, @color)
+      `),
+      insertFeature: this.db.prepare(`
+        INSERT INTO plan_features (version, slot, plan_id, position, feature)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+    };
+  }
+
+  /**
+   * Bring the database schema up to date. Tables are rebuilt with foreign
+   * keys off, so this runs before they are switched on.
+   */
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+
+    if (current > MIGRATIONS.length) {
+      throw new Error(`${this.filePath} has schema version ${current}; this server supports up to ${MIGRATIONS.length}`);
+    }
+
+    this.db.transaction(() => {
+      MIGRATIONS.slice(current).forEach(migration => this.db.exec(migration));
+      this.db.pragma(`user_version = ${MIGRATIONS.length}`);
+    })();
+  }
+
+  /**
+   * Name the place a version is stored, for logs and status reports
+   * @param {string} version 
+   * @param {string} [slot] - 'published', 'draft' or 'previous'
+   * @returns {string}
+   */
+  describe(version, slot = 'published') {
+    return `${path.basename(this.filePath)}#${version}${slot === 'published' ? '' : `@${slot}`}`;
+  }
+
+  /**
+   * Read a version's pricing document
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {Promise<Object>}
+   */
+  async read(version, slot = 'published') {
+    const row = this.statements.document.get(version, slot);
+
+    if (!row) {
+      throw new Error(`No pricing data for ${this.describe(version, slot)}`);
+    }
+
+    const features = new Map();
+    for (const { plan_id: planId, feature } of this.statements.features.all(version, slot)) {
+      features.set(planId, [...(features.get(planId) || []), feature]);
+    }
+
+    const plans = this.statements.plans.all(version, slot).map(plan => withoutNulls({
+      id: plan.id,
+      name: plan.name,
+      price: plan.price,
+      ...Object.fromEntries(Object.entries(PLAN_COLUMNS).map(([field, column]) => [field, plan[column]])),
+      popular: plan.popular === null ? null : Boolean(plan.popular),
+      features: features.get(plan.id) || []
+    }));
+
+    return withoutNulls({
+      version,
+      title: row.title,
+      subtitle: row.subtitle,
+      plans,
+      metadata: row.metadata === null ? null : JSON.parse(row.metadata)
+    });
+  }
+
+  /**
+   * Whether a version has a document in a slot
+   * @param {string} version 
+   * @param {string} [slot] 
+   * @returns {Promise<boolean>}
+   */
+  async has(version, slot = 'published') {
+    return Boolean(this.statements.document.get(version, slot));
+  }
+
+  /**
+   * Replace a version's pricing document in one transaction
+   * @param {string} version 
+   * @param {Object} document 
+   * @param {string} [slot] 
+   */
+  async write(version, document, slot = 'published') {
+    this.db.transaction(() => {
+      const revision = (this.statements.document.get(version, slot)?.revision || 0) + 1;
+
+      this.statements.deleteDocument.run(version, slot);
+      this.insert(version, document, slot, revision);
+    })();
+  }
+
+  /**
+   * Replace a version's published document, keeping the current one as the
+   * previous copy, in one transaction
+   * @param {string} version 
+   * @param {Object} document 
+   */
+  async replace(version, document) {
+    this.db.transaction(() => {
+      const revision = (this.statements.document.get(version, 'published')?.revision || 0) + 1;
+
+      this.statements.deleteDocument.run(version, 'previous');
+      this.statements.moveDocument.run({ version, from: 'published', to: 'previous' });
+      this.insert(version, document, 'published', revision);
+    })();
+  }
+
+  /**
+   * Insert a document into an empty slot, with its plans and features
+   * @param {string} version 
+   * @param {Object} document 
+   * @param {string} slot 
+   * @param {number} revision 
+   */
+  insert(version, document, slot, revision) {
+    this.statements.insertDocument.run({
+      version,
+      slot,
+      title: document.title,
+      subtitle: document.subtitle ?? null,
+      metadata: document.metadata === undefined ? null : JSON.stringify(document.metadata),
+      revision,
+      updatedAt: new Date().toISOString()
+    });
+
+    document.plans.forEach((plan, position) => {
+      this.statements.insertPlan.run({
+        version,
+        slot,
+        id: plan.id,
+        position,
+        name: plan.name,
+        price: plan.price,
+        ...Object.fromEntries(Object.entries(PLAN_COLUMNS).map(([field, column]) => [column, plan[field] ?? null])),
+        popular: plan.popular === undefined ? null : Number(plan.popular)
+      });
+      plan.features.forEach((feature, i) => this.statements.insertFeature.run(version, slot, plan.id, i, feature));
+    });
+  }
+
+  /**
+   * Delete a version's document from a slot, if it has one
+   * @param {string} version 
+   * @param {string} slot 
+   */
+  async remove(version, slot) {
+    this.statements.deleteDocument.run(version, slot);
+  }
+
+  /**
+   * Make a version's draft its published document, keeping the published
+   * one as the previous copy, in one transaction
+   * @param {string} version 
+   */
+  async publish(version) {
+    this.db.transaction(() => {
+      if (!this.statements.document.get(version, 'draft')) {
+        throw new Error(`No pricing data for ${this.describe(version, 'draft')}`);
+      }
+
+      this.statements.deleteDocument.run(version, 'previous');
+      this.rotate(version, [['published', 'previous'], ['draft', 'published']]);
+    })();
+  }
+
+  /**
+   * Swap a version's published document with its previous copy, in one
+   * transaction, so rolling back twice restores the document that was rolled back
+   * @param {string} version 
+   */
+  async rollback(version) {
+    this.db.transaction(() => {
+      if (!this.statements.document.get(version, 'previous')) {
+        throw new Error(`No pricing data for ${this.describe(version, 'previous')}`);
+      }
+
+      this.rotate(version, [['published', 'rollback'], ['previous', 'published'], ['rollback', 'previous']]);
+    })();
+  }
+
+  /**
+   * Move documents between slots (plans and features follow by cascade),
+   * then bump the published revision so watchers see the change
+   * @param {string} version 
+   * @param {Array<Array<string>>} moves - [from, to] slot pairs, applied in order
+   */
+  rotate(version, moves) {
+    const revision = (this.statements.document.get(version, 'published')?.revision || 0) + 1;
+
+    for (const [from, to] of moves) {
+      this.statements.moveDocument.run({ version, from, to });
+    }
+    this.statements.setRevision.run(revision, new Date().toISOString(), version, 'published');
+  }
+
+  /**
+   * List the versions with a published document in the database
+   * @returns {Promise<Array<string>>}
+   */
+  async listVersions() {
+    return this.statements.revisions.all().map(({ version }) => version);
+  }
+
+  /**
+   * Call `onChange` with the version whenever its published document is
+   * written, including by other processes sharing the database. Polls the
+   * per-version revision.
+   * @param {Function} onChange - Called with the version name
+   * @returns {Function} Stops watching
+   */
+  watch(onChange) {
+    const readRevisions = () => new Map(this.statements.revisions.all().map(({ version, revision }) => [version, revision]));
+    let seen = readRevisions();
+
+    const timer = setInterval(() => {
+      const current = readRevisions();
+      for (const version of new Set([...seen.keys(), ...current.keys()])) {
+        if (seen.get(version) !== current.get(version)) {
+          onChange(version);
+        }
+      }
+      seen = current;
+    }, this.pollIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Drop null fields, which stand for fields absent from the document
+ * @param {Object} object
+ * @returns {Object}
+ */
+const withoutNulls = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+
+export default SqliteStore;
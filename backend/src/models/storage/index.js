@@ -0,0 +1,24 @@
+import config from '../../config/index.js';
+import FileStore from './FileStore.js';
+import SqliteStore from './SqliteStore.js';
+
+// Storage drivers selectable with PRICING_STORAGE
+export const STORAGE_DRIVERS = ['file', 'sqlite'];
+
+/**
+ * Create the pricing store selected in the configuration
+ * @param {Object} [storage] - { driver, sqlitePath, pollIntervalMs } (defaults to config.storage)
+ * @returns {FileStore|SqliteStore}
+ */
+export const createPricingStore = (storage = config.storage) => {
+  switch (storage.driver) {
+    case 'file':
+      return new FileStore();
+    case 'sqlite':
+      return new SqliteStore({ filePath: storage.sqlitePath, pollIntervalMs: storage.pollIntervalMs });
+    default:
+      throw new Error(`Unknown pricing storage "${storage.driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+};
+
+export { FileStore, SqliteStore };
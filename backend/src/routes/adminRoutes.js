@@ -0,0 +1,75 @@
+import express from 'express';
+import AdminController from '../controllers/adminController.js';
+import adminAuth from '../middleware/adminAuth.js';
+
+const router = express.Router();
+const adminController = new AdminController();
+
+// Every admin endpoint requires the admin token
+router.use(adminAuth);
+
+// Routing configuration
+router.get('/routing', adminController.getRouting.bind(adminController));
+router.put('/routing', adminController.replaceRouting.bind(adminController));
+router.patch('/routing', adminController.patchRouting.bind(adminController));
+
+// Routing revision history
+router.get('/routing/revisions', adminController.listRevisions.bind(adminController));
+router.get('/routing/revisions/:revision', adminController.getRevision.bind(adminController));
+router.get('/routing/revisions/:from/diff/:to', adminController.diffRevisions.bind(adminController));
+router.post('/routing/revisions/:revision/restore', adminController.restoreRevision.bind(adminController));
+
+// What-if analysis of a candidate configuration
+router.post('/routing/simulate', adminController.simulateRouting.bind(adminController));
+
+// Progressive rollout plan
+router.post('/rollout', adminController.startRollout.bind(adminController));
+router.post('/rollout/pause', adminController.pauseRollout.bind(adminController));
+router.post('/rollout/resume', adminController.resumeRollout.bind(adminController));
+
+// Switch the live version and drain the others
+router.get('/cutover', adminController.getCutover.bind(adminController));
+router.post('/cutover', adminController.startCutover.bind(adminController));
+router.post('/cutover/revert', adminController.revertCutover.bind(adminController));
+
+// Emergency controls
+router.get('/kill-switch', adminController.getKillSwitch.bind(adminController));
+router.post('/kill-switch', adminController.engageKillSwitch.bind(adminController));
+router.post('/kill-switch/release', adminController.releaseKillSwitch.bind(adminController));
+router.get('/maintenance', adminController.getMaintenance.bind(adminController));
+router.post('/maintenance', adminController.enableMaintenance.bind(adminController));
+router.post('/maintenance/disable', adminController.disableMaintenance.bind(adminController));
+
+// Pricing data cache
+router.get('/pricing/cache', adminController.getPricingCache.bind(adminController));
+router.post('/pricing/cache/flush', adminController.flushPricingCache.bind(adminController));
+router.post('/pricing/cache/warm', adminController.warmPricingCache.bind(adminController));
+
+// Pricing catalog: the plans of each version (?draft=true edits the draft)
+router.get('/versions/:version/plans', adminController.listPlans.bind(adminController));
+router.post('/versions/:version/plans', adminController.createPlan.bind(adminController));
+router.post('/versions/:version/plans/reorder', adminController.reorderPlans.bind(adminController));
+router.put('/versions/:version/plans/:planId', adminController.replacePlan.bind(adminController));
+router.patch('/versions/:version/plans/:planId', adminController.patchPlan.bind(adminController));
+router.delete('/versions/:version/plans/:planId', adminController.deletePlan.bind(adminController));
+
+// Pricing drafts: edit, review and publish a version's pricing, and roll it back
+router.get('/versions/:version/draft', adminController.getDraft.bind(adminController));
+router.post('/versions/:version/draft', adminController.createDraft.bind(adminController));
+router.put('/versions/:version/draft', adminController.replaceDraft.bind(adminController));
+router.delete('/versions/:version/draft', adminController.discardDraft.bind(adminController));
+router.get('/versions/:version/draft/diff', adminController.diffDraft.bind(adminController));
+router.post('/versions/:version/draft/approve', adminController.approveDraft.bind(adminController));
+router.post('/versions/:version/publish', adminController.publishDraft.bind(adminController));
+router.post('/versions/:version/rollback', adminController.rollbackPublished.bind(adminController));
+
+// Reverse-proxy upstream health
+router.get('/upstreams', adminController.getUpstreams.bind(adminController));
+
+// Signed preview links
+router.post('/preview-links', adminController.createPreviewLink.bind(adminController));
+
+// Re-read routing-rules.json
+router.post('/routing/reload', adminController.reloadRouting.bind(adminController));
+
+export default router;
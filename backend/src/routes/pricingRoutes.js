@@ -1,5 +1,6 @@
 import express from 'express';
 import PricingController from '../controllers/pricingController.js';
+import adminAuth from '../middleware/adminAuth.js';
 
 const router = express.Router();
 const pricingController = new PricingController();
@@ -16,7 +17,23 @@ router.get('/health', pricingController.getHealth.bind(pricingController));
 // Reset statistics endpoint
 router.post('/reset-stats', pricingController.resetStats.bind(pricingController));
 
+// Progressive rollout plan (changed through /admin/rollout)
+router.get('/rollout', pricingController.getRollout.bind(pricingController));
+
+// Shadow traffic results (clearing them hides mismatches, so admin only)
+router.get('/shadow', pricingController.getShadow.bind(pricingController));
+router.post('/shadow/reset', adminAuth, pricingController.resetShadow.bind(pricingController));
+
+// Trace how a simulated request would be routed (exposes rule config, so admin only)
+router.post('/explain', adminAuth, pricingController.explainRouting.bind(pricingController));
+
+// Registered versions
+router.get('/versions', pricingController.getVersions.bind(pricingController));
+
+// Drafts are unpublished pricing, so previewing one (?draft=true) is admin only
+const adminAuthForDrafts = (req, res, next) => (req.query.draft === 'true' ? adminAuth(req, res, next) : next());
+
 // Force specific version (for testing/debugging)
-router.get('/version/:version', pricingController.getSpecificVersion.bind(pricingController));
+router.get('/version/:version', adminAuthForDrafts, pricingController.getSpecificVersion.bind(pricingController));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import config, { configEvents, getRoutingRules } from '../config/index.js';
+import { deepClone, diffObjects } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+
+class ConfigHistoryService {
+  constructor({ filePath = config.history.file, maxRevisions = config.history.maxRevisions } = {}) {
+    this.filePath = filePath;
+    this.maxRevisions = maxRevisions;
+    this.revisions = this.load();
+    this.pendingSave = Promise.resolve();
+
+    // The configuration in effect at startup is the first revision (unless unchanged)
+    this.record(getRoutingRules(), { source: 'startup', actor: 'system' });
+
+    configEvents.on('routing-changed', ({ rules, source, actor }) => {
+      this.record(rules, { source, actor });
+    });
+  }
+
+  /**
+   * Load revisions saved by a previous run
+   * @returns {Array<Object>}
+   */
+  load() {
+    try {
+      const revisions = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(revisions) ? revisions : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[HISTORY] Ignoring unreadable history file ${this.filePath}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Save revisions, one write at a time. Each write goes to a temporary file
+   * renamed over the history, so a crash never leaves it half written.
+   */
+  save() {
+    const data = JSON.stringify(this.revisions, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    this.pendingSave = this.pendingSave
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, data, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => console.error('[HISTORY] Failed to save routing history:', error.message));
+  }
+
+  /**
+   * Store a rules document as a new revision
+   * @param {Object} rules
+   * @param {Object} origin
+   * @param {string} origin.source - What triggered the change
+   * @param {string} origin.actor - Who made the change
+   * @returns {Object|null} The new revision, or null when nothing changed
+   */
+  record(rules, { source, actor }) {
+    const latest = this.getLatest();
+    const diff = diffObjects(latest ? latest.rules : {}, rules);
+
+    if (latest && diff.length === 0) {
+      return null;
+    }
+
+    const revision = {
+      revision: latest ? latest.revision + 1 : 1,
+      timestamp: new Date().toISOString(),
+      actor,
+      source,
+      rules: deepClone(rules),
+      diff
+    };
+
+    this.revisions.push(revision);
+    if (this.revisions.length > this.maxRevisions) {
+      this.revisions.splice(0, this.revisions.length - this.maxRevisions);
+    }
+    this.save();
+
+    logInfo(`[HISTORY] Recorded routing revision ${revision.revision} ` +
+               `(${diff.length} change${diff.length === 1 ? '' : 's'}, source: ${source}, actor: ${actor})`);
+
+    return revision;
+  }
+
+  /**
+   * List revisions without their full rules documents, newest first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.revisions
+      .map(({ revision, timestamp, actor, source, diff }) => ({
+        revision,
+        timestamp,
+        actor,
+        source,
+        changes: diff.length
+      }))
+      .reverse();
+  }
+
+  /**
+   * Get a single revision
+   * @param {number} revision
+   * @returns {Object|null}
+   */
+  get(revision) {
+    return this.revisions.find(entry => entry.revision === revision) || null;
+  }
+
+  /**
+   * Get the revision currently in effect
+   * @returns {Object|null}
+   */
+  getLatest() {
+    return this.revisions[this.revisions.length - 1] || null;
+  }
+
+  /**
+   * Diff two revisions
+   * @param {number} from
+   * @param {number} to
+   * @returns {Array<Object>|null} Changes, or null if either revision is unknown
+   */
+  diff(from, to) {
+    const fromRevision = this.get(from);
+    const toRevision = this.get(to);
+
+    if (!fromRevision || !toRevision) {
+      return null;
+    }
+
+    return diffObjects(fromRevision.rules, toRevision.rules);
+  }
+}
+
+export default ConfigHistoryService;
@@ -0,0 +1,266 @@
+import { isValidVersion } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+
+// Upper bound on draining sessions tracked for status reporting
+const MAX_TRACKED_SESSIONS = 100000;
+
+class CutoverService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.isValidVersion] - Version check (defaults to the live registry)
+   * @param {Function} [options.getSettings] - Returns the `cutover` routing settings
+   */
+  constructor({ isValidVersion: isKnownVersion = isValidVersion, getSettings = () => ({}) } = {}) {
+    this.cutover = null;
+    this.lastReverted = null;
+    this.isValidVersion = isKnownVersion;
+    this.getSettings = getSettings;
+  }
+
+  /**
+   * Validate a cutover request
+   * @param {Object} definition
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validate(definition) {
+    const errors = [];
+    const { targetVersion, drainWindowMs } = definition || {};
+
+    if (!this.isValidVersion(targetVersion)) {
+      errors.push(`Unknown targetVersion: ${targetVersion}`);
+    }
+    if (drainWindowMs !== undefined && (typeof drainWindowMs !== 'number' || drainWindowMs < 0)) {
+      errors.push('drainWindowMs must be a non-negative number');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Switch all new traffic to a version and start draining the others.
+   * A completed cutover may be replaced; a draining one must be reverted first.
+   * @param {Object} definition
+   * @param {string} definition.targetVersion - Version to make live
+   * @param {number} [definition.drainWindowMs] - How long existing sessions keep their version
+   * @param {string} [definition.actor] - Who started the cutover
+   * @returns {Object} Cutover status
+   */
+  start({ targetVersion, drainWindowMs, actor = null } = {}) {
+    const errors = this.validate({ targetVersion, drainWindowMs });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid cutover: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    const current = this.getActive();
+    if (current?.status === 'draining') {
+      throw this.stateError(`A cutover to ${current.targetVersion} is still draining; revert it first`);
+    }
+    if (current?.targetVersion === targetVersion) {
+      throw this.stateError(`${targetVersion} is already the live version`);
+    }
+
+    const now = Date.now();
+    const window = drainWindowMs ?? this.getSettings().drainWindowMs;
+
+    this.cutover = {
+      id: `cutover-${now}`,
+      targetVersion,
+      status: 'draining',
+      drainWindowMs: window,
+      startedAt: now,
+      drainEndsAt: now + window,
+      completedAt: null,
+      startedBy: actor,
+      // Restored by revert(). It has fully drained, so its sessions and its
+      // own predecessor are dropped and replaced cutovers never pile up.
+      previous: current && { ...current, previous: null, sessions: new Map() },
+      sessions: new Map()
+    };
+    this.checkCompleted();
+
+    logInfo(`[CUTOVER] Started ${this.cutover.id}: all new traffic to ${targetVersion}, ` +
+                `draining existing sessions for ${window}ms`);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Undo the active cutover, restoring the routing in effect before it
+   * @param {string} [actor] - Who reverted the cutover
+   * @returns {Object} { reverted, current }
+   */
+  revert(actor = null) {
+    const cutover = this.getActive();
+
+    if (!cutover) {
+      const error = new Error('No cutover is active');
+      error.status = 404;
+      throw error;
+    }
+
+    this.lastReverted = {
+      ...this.describe(cutover),
+      status: 'reverted',
+      revertedAt: new Date().toISOString(),
+      revertedBy: actor
+    };
+    this.cutover = cutover.previous;
+
+    logInfo(`[CUTOVER] Reverted ${cutover.id} (${cutover.status}); ` +
+                (this.cutover ? `${this.cutover.targetVersion} is live again` : 'routing rules apply again'));
+
+    return { reverted: this.lastReverted, current: this.getStatus() };
+  }
+
+  /**
+   * Get the active cutover, completing its drain once the window has passed
+   * @returns {Object|null}
+   */
+  getActive() {
+    if (this.cutover) {
+      this.checkCompleted();
+    }
+    return this.cutover;
+  }
+
+  /**
+   * Mark the drain completed once its window has elapsed
+   */
+  checkCompleted() {
+    const cutover = this.cutover;
+
+    if (cutover.status === 'draining' && Date.now() >= cutover.drainEndsAt) {
+      cutover.status = 'completed';
+      cutover.completedAt = cutover.drainEndsAt;
+      logInfo(`[CUTOVER] ${cutover.id} completed; versions other than ${cutover.targetVersion} are idle`);
+    }
+  }
+
+  /**
+   * Note a request from a session still pinned to a draining version
+   * @param {string} sessionKey - Sticky cookie value identifying the session
+   * @param {string} version - Version the session is pinned to
+   */
+  recordDrainingSession(sessionKey, version) {
+    const sessions = this.cutover?.sessions;
+
+    if (!sessions) {
+      return;
+    }
+
+    if (sessions.size >= MAX_TRACKED_SESSIONS && !sessions.has(sessionKey)) {
+      this.pruneSessions();
+      if (sessions.size >= MAX_TRACKED_SESSIONS) return;
+    }
+
+    sessions.set(sessionKey, { version, lastSeenAt: Date.now() });
+  }
+
+  /**
+   * Forget sessions that have gone quiet
+   */
+  pruneSessions() {
+    const cutoff = Date.now() - this.getSettings().sessionIdleMs;
+
+    for (const [key, session] of this.cutover.sessions) {
+      if (session.lastSeenAt < cutoff) {
+        this.cutover.sessions.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a serializable view of the active cutover
+   * @returns {Object|null}
+   */
+  getStatus() {
+    const cutover = this.getActive();
+    return cutover ? this.describe(cutover) : null;
+  }
+
+  /**
+   * Describe a cutover, counting the sessions still draining
+   * @param {Object} cutover
+   * @returns {Object}
+   */
+  describe(cutover) {
+    const idleCutoff = Date.now() - this.getSettings().sessionIdleMs;
+    const remaining = {};
+    let sessionsRemaining = 0;
+
+    if (cutover.status === 'draining') {
+      for (const { version, lastSeenAt } of cutover.sessions.values()) {
+        if (lastSeenAt >= idleCutoff) {
+          remaining[version] = (remaining[version] || 0) + 1;
+          sessionsRemaining++;
+        }
+      }
+    }
+
+    return {
+      id: cutover.id,
+      status: cutover.status,
+      targetVersion: cutover.targetVersion,
+      drainWindowMs: cutover.drainWindowMs,
+      startedAt: new Date(cutover.startedAt).toISOString(),
+      drainEndsAt: new Date(cutover.drainEndsAt).toISOString(),
+      completedAt: cutover.completedAt ? new Date(cutover.completedAt).toISOString() : null,
+      startedBy: cutover.startedBy,
+      sessionsSeen: cutover.sessions.size,
+      sessionsRemaining,
+      sessionsRemainingByVersion: remaining,
+      previousTargetVersion: cutover.previous?.targetVersion || null
+    };
+  }
+
+  /**
+   * Get the active cutover, the last reverted one and the drain settings
+   * @returns {Object} { active, lastReverted, settings }
+   */
+  getReport() {
+    return {
+      active: this.getStatus(),
+      lastReverted: this.lastReverted,
+      settings: this.getSettings()
+    };
+  }
+
+  /**
+   * Copy the cutover state, e.g. to seed a simulation. Draining sessions
+   * are left out; a restored copy tracks its own.
+   * @returns {Object}
+   */
+  snapshot() {
+    return structuredClone({
+      cutover: this.cutover && { ...this.cutover, sessions: null },
+      lastReverted: this.lastReverted
+    });
+  }
+
+  /**
+   * Replace the cutover state with a snapshot
+   * @param {Object} state - Result of snapshot()
+   */
+  restore(state) {
+    const { cutover, lastReverted } = structuredClone(state);
+    this.cutover = cutover && { ...cutover, sessions: new Map() };
+    this.lastReverted = lastReverted;
+  }
+
+  /**
+   * Build a 409-style error for invalid state transitions
+   * @param {string} message
+   * @returns {Error}
+   */
+  stateError(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+}
+
+export default CutoverService;
@@ -0,0 +1,102 @@
+import config from '../config/index.js';
+import { isValidVersion } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+
+class KillSwitchService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.isValidVersion] - Version check (defaults to the live registry)
+   */
+  constructor({ isValidVersion: isKnownVersion = isValidVersion } = {}) {
+    this.state = null;
+    this.isValidVersion = isKnownVersion;
+
+    if (config.killSwitch.version) {
+      try {
+        this.engage({ version: config.killSwitch.version, reason: 'KILL_SWITCH_VERSION', source: 'env' });
+      } catch (error) {
+        console.error('[KILL_SWITCH] Ignoring KILL_SWITCH_VERSION:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Force every request to one version, ahead of sticky sessions and all rules
+   * @param {Object} details
+   * @param {string} details.version - Version to serve
+   * @param {string} [details.reason] - Why the switch was thrown
+   * @param {string} [details.actor] - Who threw it
+   * @param {string} [details.source] - 'admin-api' or 'env'
+   * @returns {Object} Kill switch status
+   */
+  engage({ version, reason = null, actor = null, source = 'admin-api' } = {}) {
+    if (!this.isValidVersion(version)) {
+      const error = new Error(`Unknown version: ${version}`);
+      error.status = 400;
+      error.details = [`version must be a registered version, got ${version}`];
+      throw error;
+    }
+
+    this.state = {
+      version,
+      reason,
+      engagedAt: new Date().toISOString(),
+      engagedBy: actor,
+      source
+    };
+
+    console.error(`[KILL_SWITCH] Engaged: every request is served by ${version}` +
+                  (reason ? ` (${reason})` : ''));
+
+    return this.getStatus();
+  }
+
+  /**
+   * Return routing to sticky sessions and the rules
+   * @param {string} [actor] - Who released the switch
+   * @returns {Object} The released kill switch
+   */
+  release(actor = null) {
+    if (!this.state) {
+      const error = new Error('The kill switch is not engaged');
+      error.status = 404;
+      throw error;
+    }
+
+    const released = { ...this.state, releasedAt: new Date().toISOString(), releasedBy: actor };
+    this.state = null;
+
+    logInfo(`[KILL_SWITCH] Released; ${released.version} is no longer forced`);
+
+    return released;
+  }
+
+  /**
+   * Get the engaged kill switch, ignoring it if its version is no longer registered
+   * @returns {Object|null}
+   */
+  getStatus() {
+    if (this.state && !this.isValidVersion(this.state.version)) {
+      return null;
+    }
+    return this.state;
+  }
+
+  /**
+   * Copy the kill switch state, e.g. to seed a simulation
+   * @returns {Object}
+   */
+  snapshot() {
+    return structuredClone({ state: this.state });
+  }
+
+  /**
+   * Replace the kill switch state with a snapshot
+   * @param {Object} snapshot - Result of snapshot()
+   */
+  restore(snapshot) {
+    this.state = structuredClone(snapshot).state;
+  }
+}
+
+export default KillSwitchService;
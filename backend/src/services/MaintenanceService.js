@@ -0,0 +1,171 @@
+import config from '../config/index.js';
+import { logInfo } from '../utils/log.js';
+
+class MaintenanceService {
+  /**
+   * @param {PricingModel} pricingModel - Model the last-known-good payloads are loaded from
+   */
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    this.state = null;
+    // Last successfully served or loaded pricing payload per version
+    this.lastKnownGood = new Map();
+    // Loading of payloads for versions not served since startup
+    this.seeding = Promise.resolve();
+
+    if (config.maintenance.enabled) {
+      this.enable({ source: 'env' });
+    }
+  }
+
+  /**
+   * Validate maintenance settings
+   * @param {Object} settings
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validate({ serveCached, retryAfterSeconds, message } = {}) {
+    const errors = [];
+
+    if (serveCached !== undefined && typeof serveCached !== 'boolean') {
+      errors.push('serveCached must be a boolean');
+    }
+    if (retryAfterSeconds !== undefined && (!Number.isInteger(retryAfterSeconds) || retryAfterSeconds < 0)) {
+      errors.push('retryAfterSeconds must be a non-negative integer');
+    }
+    if (message !== undefined && typeof message !== 'string') {
+      errors.push('message must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Put /pricing into maintenance mode. Settings default to the MAINTENANCE_* variables.
+   * @param {Object} [settings]
+   * @param {boolean} [settings.serveCached] - Serve the last-known-good payload when there is one
+   * @param {number} [settings.retryAfterSeconds] - Retry-After sent with 503 responses
+   * @param {string} [settings.message] - Message sent with 503 responses
+   * @param {string} [settings.actor] - Who enabled maintenance mode
+   * @param {string} [settings.source] - 'admin-api' or 'env'
+   * @returns {Object} Maintenance status
+   */
+  enable({ serveCached, retryAfterSeconds, message, actor = null, source = 'admin-api' } = {}) {
+    const errors = this.validate({ serveCached, retryAfterSeconds, message });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid maintenance settings: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    const defaults = config.maintenance;
+    this.state = {
+      serveCached: serveCached ?? defaults.serveCached,
+      retryAfterSeconds: retryAfterSeconds ?? defaults.retryAfterSeconds,
+      message: message ?? defaults.message,
+      enabledAt: new Date().toISOString(),
+      enabledBy: actor,
+      source
+    };
+
+    console.warn(`[MAINTENANCE] Enabled: /pricing ${this.state.serveCached ? 'serves cached payloads' : 'returns 503'}`);
+    this.seeding = this.seed();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Leave maintenance mode
+   * @param {string} [actor] - Who disabled maintenance mode
+   * @returns {Object} Maintenance status
+   */
+  disable(actor = null) {
+    if (!this.state) {
+      const error = new Error('Maintenance mode is not enabled');
+      error.status = 404;
+      throw error;
+    }
+
+    this.state = null;
+    logInfo(`[MAINTENANCE] Disabled${actor ? ` by ${actor}` : ''}`);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Whether /pricing is in maintenance mode
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.state);
+  }
+
+  /**
+   * Keep a successfully served payload as the version's last-known-good copy
+   * @param {string} version
+   * @param {Object} payload - Validated pricing data
+   */
+  recordPayload(version, payload) {
+    this.lastKnownGood.set(version, { payload, storedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Load a last-known-good payload for every version that has not been
+   * served since startup, from the published document or, when that is
+   * broken, the last good copy the pricing cache still holds
+   * @returns {Promise<void>}
+   */
+  async seed() {
+    for (const version of this.pricingModel.getAvailableVersions()) {
+      if (this.lastKnownGood.has(version)) {
+        continue;
+      }
+
+      try {
+        const payload = await this.pricingModel.getPricingData(version);
+        if (this.pricingModel.getValidationErrors(payload).length === 0 && !this.lastKnownGood.has(version)) {
+          this.recordPayload(version, payload);
+        }
+      } catch (error) {
+        console.error(`[MAINTENANCE] No last-known-good payload for ${version}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Wait until the payloads loaded when maintenance mode was enabled are available
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    await this.seeding;
+  }
+
+  /**
+   * Get the last-known-good payload for a version
+   * @param {string} version
+   * @returns {Object|null} { payload, storedAt }
+   */
+  getCachedPayload(version) {
+    return this.lastKnownGood.get(version) || null;
+  }
+
+  /**
+   * Get the maintenance settings and which versions have a cached payload
+   * @returns {Object}
+   */
+  getStatus() {
+    const cached = {};
+    for (const [version, { storedAt }] of this.lastKnownGood) {
+      cached[version] = storedAt;
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      ...this.state,
+      cachedPayloads: cached
+    };
+  }
+}
+
+export default MaintenanceService;
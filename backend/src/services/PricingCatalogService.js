@@ -0,0 +1,210 @@
+import config from '../config/index.js';
+import { isValidVersion, mergePatch } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+
+class PricingCatalogService {
+  /**
+   * @param {PricingModel} pricingModel - Model the catalog reads and writes through
+   */
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    // Edits of a version run one at a time, so concurrent edits are not lost
+    this.queues = new Map();
+  }
+
+  /**
+   * List the plans of a version, in display order
+   * @param {string} version 
+   * @param {Object} [options]
+   * @param {boolean} [options.draft] - List the draft's plans (the published ones until a draft exists)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPlans(version, { draft = false } = {}) {
+    return (await this.readDocument(version, { draft })).plans || [];
+  }
+
+  /**
+   * Add a plan at the end of a version's plans
+   * @param {string} version 
+   * @param {Object} plan 
+   * @param {Object} [options]
+   * @param {string} [options.actor] 
+   * @param {boolean} [options.draft] - Edit the version's draft instead of the published document
+   * @returns {Promise<Object>} The created plan
+   */
+  createPlan(version, plan, { actor = null, draft = false } = {}) {
+    return this.edit(version, { actor, draft }, `plan "${plan?.id}" created`, plans => {
+      if (plans.some(({ id }) => id === plan?.id)) {
+        throw this.catalogError(409, `Plan "${plan.id}" already exists in ${version}`);
+      }
+      return { plans: [...plans, plan], result: plan };
+    });
+  }
+
+  /**
+   * Replace a plan, or merge-patch it when `merge` is set
+   * @param {string} version 
+   * @param {string} planId 
+   * @param {Object} changes - The new plan, or a JSON merge patch
+   * @param {Object} [options]
+   * @param {boolean} [options.merge] - Apply `changes` as a merge patch
+   * @param {string} [options.actor] 
+   * @param {boolean} [options.draft] 
+   * @returns {Promise<Object>} The updated plan
+   */
+  updatePlan(version, planId, changes, { merge = false, actor = null, draft = false } = {}) {
+    return this.edit(version, { actor, draft }, `plan "${planId}" updated`, plans => {
+      const index = this.findPlanIndex(version, plans, planId);
+      const plan = merge ? mergePatch(plans[index], changes) : changes;
+
+      if (plan?.id !== undefined && plan.id !== planId) {
+        throw this.catalogError(400, 'A plan id cannot be changed; create a new plan and delete this one');
+      }
+
+      const updated = { ...plan, id: planId };
+      return { plans: plans.map((existing, i) => (i === index ? updated : existing)), result: updated };
+    });
+  }
+
+  /**
+   * Remove a plan from a version
+   * @param {string} version 
+   * @param {string} planId 
+   * @param {Object} [options]
+   * @param {string} [options.actor] 
+   * @param {boolean} [options.draft] 
+   * @returns {Promise<Object>} The deleted plan
+   */
+  deletePlan(version, planId, { actor = null, draft = false } = {}) {
+    return this.edit(version, { actor, draft }, `plan "${planId}" deleted`, plans => {
+      const index = this.findPlanIndex(version, plans, planId);
+      return { plans: plans.filter((plan, i) => i !== index), result: plans[index] };
+    });
+  }
+
+  /**
+   * Put a version's plans in a new order
+   * @param {string} version 
+   * @param {Array<string>} order - Every plan id, once, in the new order
+   * @param {Object} [options]
+   * @param {string} [options.actor] 
+   * @param {boolean} [options.draft] 
+   * @returns {Promise<Array<Object>>} The reordered plans
+   */
+  reorderPlans(version, order, { actor = null, draft = false } = {}) {
+    return this.edit(version, { actor, draft }, 'plans reordered', plans => {
+      const ids = plans.map(({ id }) => id);
+      const isPermutation = Array.isArray(order) && order.length === ids.length &&
+        new Set(order).size === order.length && order.every(id => ids.includes(id));
+
+      if (!isPermutation) {
+        const error = this.catalogError(400, 'order must list every plan id exactly once');
+        error.details = [`Current plan ids: ${ids.join(', ')}`];
+        throw error;
+      }
+
+      const reordered = order.map(id => plans[ids.indexOf(id)]);
+      return { plans: reordered, result: reordered };
+    });
+  }
+
+  /**
+   * Apply a change to a version's plans and save the document. The first
+   * edit of a draft starts it from the published document. A published
+   * document that is edited directly becomes the previous copy.
+   * @param {string} version 
+   * @param {Object} target
+   * @param {string} target.actor 
+   * @param {boolean} target.draft - Edit the draft instead of the published document
+   * @param {string} description - What changed, for the log
+   * @param {Function} change - Receives the plans, returns { plans, result }
+   * @returns {Promise<*>} The change's result
+   */
+  edit(version, { actor, draft }, description, change) {
+    return this.enqueue(version, async () => {
+      const document = await this.readDocument(version, { draft });
+      if (!draft && !config.drafts.allowDirectEdits) {
+        throw this.catalogError(409, `Published pricing of ${version} can only change through an approved draft; edit it with ?draft=true`);
+      }
+
+      const { plans, result } = change(document.plans || []);
+
+      await this.pricingModel.savePricingData(version, {
+        ...document,
+        plans,
+        ...(document.metadata && {
+          metadata: { ...document.metadata, lastUpdated: new Date().toISOString().slice(0, 10) }
+        })
+      }, draft ? 'draft' : 'published');
+      logInfo(`[CATALOG] ${version}${draft ? ' (draft)' : ''}: ${description} by ${actor || 'unknown'}`);
+
+      return result;
+    });
+  }
+
+  /**
+   * Run a task once every earlier task of the same version has settled, so
+   * concurrent changes to a version (edits, publishing) never interleave
+   * @param {string} version 
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(version, task) {
+    const previous = this.queues.get(version) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+
+    this.queues.set(version, run);
+    run.finally(() => {
+      if (this.queues.get(version) === run) this.queues.delete(version);
+    }).catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Read the stored document of a version
+   * @param {string} version 
+   * @param {Object} [options]
+   * @param {boolean} [options.draft] - Read the draft, or the published document until a draft exists
+   * @returns {Promise<Object>}
+   */
+  async readDocument(version, { draft = false } = {}) {
+    if (!isValidVersion(version)) {
+      throw this.catalogError(404, `Unknown version: ${version}`);
+    }
+    if (draft && await this.pricingModel.hasStoredDocument(version, 'draft')) {
+      return this.pricingModel.readStoredDocument(version, 'draft');
+    }
+    return this.pricingModel.readStoredDocument(version);
+  }
+
+  /**
+   * Find a plan by id
+   * @param {string} version 
+   * @param {Array<Object>} plans 
+   * @param {string} planId 
+   * @returns {number} Index of the plan
+   */
+  findPlanIndex(version, plans, planId) {
+    const index = plans.findIndex(({ id }) => id === planId);
+
+    if (index === -1) {
+      throw this.catalogError(404, `Plan "${planId}" not found in ${version}`);
+    }
+    return index;
+  }
+
+  /**
+   * Build an error carrying an HTTP status
+   * @param {number} status 
+   * @param {string} message 
+   * @returns {Error}
+   */
+  catalogError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+export default PricingCatalogService;
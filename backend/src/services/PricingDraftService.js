@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import config from '../config/index.js';
+import { diffObjects, isValidVersion } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+
+class PricingDraftService {
+  /**
+   * @param {PricingModel} pricingModel - Model holding the published, draft and previous documents
+   * @param {PricingCatalogService} catalog - Catalog whose per-version queue drafts share
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where approvals are kept between runs
+   */
+  constructor(pricingModel, catalog, { filePath = config.drafts.reviewsFile } = {}) {
+    this.pricingModel = pricingModel;
+    this.catalog = catalog;
+    this.filePath = filePath;
+    this.approvals = this.load();
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Load approvals saved by a previous run
+   * @returns {Object} Approval by version
+   */
+  load() {
+    try {
+      const approvals = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return approvals && typeof approvals === 'object' && !Array.isArray(approvals) ? approvals : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[DRAFTS] Ignoring unreadable approvals file ${this.filePath}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Save approvals, one write at a time
+   */
+  save() {
+    const data = JSON.stringify(this.approvals, null, 2);
+    this.pendingSave = this.pendingSave
+      .then(() => fs.promises.writeFile(this.filePath, data, 'utf8'))
+      .catch(error => console.error('[DRAFTS] Failed to save draft approvals:', error.message));
+  }
+
+  /**
+   * Get a version's draft and its review state
+   * @param {string} version
+   * @returns {Promise<Object>} { version, source, draft, review }
+   */
+  async getDraft(version) {
+    const draft = await this.readDraft(version);
+
+    return {
+      version,
+      source: this.pricingModel.store.describe(version, 'draft'),
+      draft,
+      review: this.getReview(version, draft)
+    };
+  }
+
+  /**
+   * Describe the approval of a draft. An approval covers the draft exactly
+   * as it was approved; any later edit makes it stale.
+   * @param {string} version
+   * @param {Object} draft
+   * @returns {Object} { approved, stale, approvedBy, approvedAt, note }
+   */
+  getReview(version, draft) {
+    const approval = this.approvals[version];
+    const approved = Boolean(approval) && approval.fingerprint === this.fingerprint(draft);
+
+    return {
+      approved,
+      stale: Boolean(approval) && !approved,
+      approvedBy: approval?.approvedBy || null,
+      approvedAt: approval?.approvedAt || null,
+      note: approval?.note || null
+    };
+  }
+
+  /**
+   * Start a version's draft as a copy of its published document
+   * @param {string} version
+   * @param {string} [actor]
+   * @returns {Promise<Object>} The draft and its review state
+   */
+  createDraft(version, actor = null) {
+    return this.catalog.enqueue(version, async () => {
+      this.checkVersion(version);
+      if (await this.pricingModel.hasStoredDocument(version, 'draft')) {
+        throw this.draftError(409, `${version} already has a draft; edit or discard it`);
+      }
+
+      await this.pricingModel.savePricingData(version, await this.pricingModel.readStoredDocument(version), 'draft');
+      logInfo(`[DRAFTS] ${version}: draft started by ${actor || 'unknown'}`);
+
+      return this.getDraft(version);
+    });
+  }
+
+  /**
+   * Replace a version's draft with a whole document, starting the draft if needed
+   * @param {string} version
+   * @param {Object} document
+   * @param {string} [actor]
+   * @returns {Promise<Object>} The draft and its review state
+   */
+  replaceDraft(version, document, actor = null) {
+    return this.catalog.enqueue(version, async () => {
+      this.checkVersion(version);
+      await this.pricingModel.savePricingData(version, document, 'draft');
+      logInfo(`[DRAFTS] ${version}: draft replaced by ${actor || 'unknown'}`);
+
+      return this.getDraft(version);
+    });
+  }
+
+  /**
+   * Delete a version's draft and its approval
+   * @param {string} version
+   * @param {string} [actor]
+   * @returns {Promise<Object>} { version, discarded }
+   */
+  discardDraft(version, actor = null) {
+    return this.catalog.enqueue(version, async () => {
+      await this.readDraft(version);
+      await this.pricingModel.discardDraft(version);
+      this.clearApproval(version);
+      logInfo(`[DRAFTS] ${version}: draft discarded by ${actor || 'unknown'}`);
+
+      return { version, discarded: true };
+    });
+  }
+
+  /**
+   * List what publishing a version's draft would change
+   * @param {string} version
+   * @returns {Promise<Object>} { version, changes } with changes as { path, op, from, to }
+   */
+  async diffDraft(version) {
+    const draft = await this.readDraft(version);
+    const published = await this.pricingModel.readStoredDocument(version);
+
+    return { version, changes: diffObjects(published, draft), review: this.getReview(version, draft) };
+  }
+
+  /**
+   * Approve a version's draft for publishing as it is now
+   * @param {string} version
+   * @param {Object} [options]
+   * @param {string} [options.actor]
+   * @param {string} [options.note] - Reviewer's comment
+   * @returns {Promise<Object>} The draft and its review state
+   */
+  approveDraft(version, { actor = null, note = null } = {}) {
+    return this.catalog.enqueue(version, async () => {
+      const { draft, changes } = await this.readPublishableDraft(version);
+
+      if (changes.length === 0) {
+        throw this.draftError(409, `The ${version} draft matches the published document; there is nothing to approve`);
+      }
+
+      this.approvals[version] = {
+        approvedBy: actor,
+        approvedAt: new Date().toISOString(),
+        note,
+        fingerprint: this.fingerprint(draft)
+      };
+      this.save();
+      logInfo(`[DRAFTS] ${version}: draft approved by ${actor || 'unknown'} (${changes.length} change${changes.length === 1 ? '' : 's'})`);
+
+      return this.getDraft(version);
+    });
+  }
+
+  /**
+   * Publish a version's approved draft. The published document becomes the
+   * previous copy and the draft is consumed.
+   * @param {string} version
+   * @param {string} [actor]
+   * @returns {Promise<Object>} { version, publishedBy, approvedBy, changes, pricing }
+   */
+  publishDraft(version, actor = null) {
+    return this.catalog.enqueue(version, async () => {
+      const { draft, changes } = await this.readPublishableDraft(version);
+      const review = this.getReview(version, draft);
+
+      if (!review.approved) {
+        throw this.draftError(409, review.stale
+          ? `The ${version} draft changed after ${review.approvedBy || 'unknown'} approved it; approve it again`
+          : `The ${version} draft has not been approved`);
+      }
+
+      const pricing = await this.pricingModel.publishDraft(version);
+      this.clearApproval(version);
+      logInfo(`[DRAFTS] ${version}: draft published by ${actor || 'unknown'}, ` +
+                  `approved by ${review.approvedBy || 'unknown'} (${changes.length} change${changes.length === 1 ? '' : 's'})`);
+
+      return { version, publishedBy: actor, approvedBy: review.approvedBy, changes, pricing };
+    });
+  }
+
+  /**
+   * Swap a version's published document with the copy it replaced.
+   * Rolling back again restores the document that was rolled back.
+   * @param {string} version
+   * @param {string} [actor]
+   * @returns {Promise<Object>} { version, rolledBackBy, changes, pricing }
+   */
+  rollback(version, actor = null) {
+    return this.catalog.enqueue(version, async () => {
+      this.checkVersion(version);
+      if (!await this.pricingModel.hasStoredDocument(version, 'previous')) {
+        throw this.draftError(404, `${version} has no previously published copy to roll back to`);
+      }
+
+      const changes = diffObjects(
+        await this.pricingModel.readStoredDocument(version),
+        await this.pricingModel.readStoredDocument(version, 'previous')
+      );
+      const pricing = await this.pricingModel.rollbackPublished(version);
+      logInfo(`[DRAFTS] ${version}: rolled back to the previously published copy by ${actor || 'unknown'}`);
+
+      return { version, rolledBackBy: actor, changes, pricing };
+    });
+  }
+
+  /**
+   * Read a version's draft, checking it can be published
+   * @param {string} version
+   * @returns {Promise<Object>} { draft, changes }
+   * @throws {Error} With status 400 and `details` when the draft is invalid
+   */
+  async readPublishableDraft(version) {
+    const draft = await this.readDraft(version);
+    const errors = this.pricingModel.getValidationErrors(draft);
+
+    if (errors.length > 0) {
+      const error = this.draftError(400, `The ${version} draft is not valid pricing data`);
+      error.details = errors;
+      throw error;
+    }
+
+    return { draft, changes: diffObjects(await this.pricingModel.readStoredDocument(version), draft) };
+  }
+
+  /**
+   * Read a version's draft
+   * @param {string} version
+   * @returns {Promise<Object>}
+   */
+  async readDraft(version) {
+    this.checkVersion(version);
+    if (!await this.pricingModel.hasStoredDocument(version, 'draft')) {
+      throw this.draftError(404, `${version} has no draft`);
+    }
+    return this.pricingModel.readStoredDocument(version, 'draft');
+  }
+
+  /**
+   * Forget a version's approval
+   * @param {string} version
+   */
+  clearApproval(version) {
+    if (this.approvals[version]) {
+      delete this.approvals[version];
+      this.save();
+    }
+  }
+
+  /**
+   * Hash a document, to tell whether a draft changed after it was approved
+   * @param {Object} document
+   * @returns {string}
+   */
+  fingerprint(document) {
+    return crypto.createHash('sha256').update(JSON.stringify(document)).digest('hex');
+  }
+
+  /**
+   * Reject unknown versions
+   * @param {string} version
+   */
+  checkVersion(version) {
+    if (!isValidVersion(version)) {
+      throw this.draftError(404, `Unknown version: ${version}`);
+    }
+  }
+
+  /**
+   * Build an error carrying an HTTP status
+   * @param {number} status
+   * @param {string} message
+   * @returns {Error}
+   */
+  draftError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+export default PricingDraftService;
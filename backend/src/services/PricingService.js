@@ -1,38 +1,63 @@
-import PricingModel from '../models/PricingModel.js';
-import RoutingService from './RoutingService.js';
+import config from '../config/index.js';
+import liveRouting, { maintenance, pricingModel, trafficStats } from './liveRouting.js';
+import ShadowService from './ShadowService.js';
 
 class PricingService {
   constructor() {
-    this.pricingModel = new PricingModel();
-    this.routingService = new RoutingService();
-    this.requestCount = new Map();
-    this.versionStats = { blue: 0, green: 0 };
+    this.pricingModel = pricingModel;
+    this.routingService = liveRouting;
+    this.maintenance = maintenance;
+    this.trafficStats = trafficStats;
+    this.shadowService = new ShadowService(this.pricingModel);
   }
 
   /**
    * Get pricing data based on routing rules
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Object} [options]
+   * @param {string} [options.forcedVersion] - Serve this version instead of routing the request
    * @returns {Object} Pricing data with metadata
    */
-  async getPricing(req, res) {
+  async getPricing(req, res, { forcedVersion } = {}) {
+    const startTime = Date.now();
+    let version = null;
+    
+    if (this.maintenance.isEnabled()) {
+      return this.getMaintenancePricing(req, { forcedVersion });
+    }
+    
     try {
+      // Give new clients a stable key for percentage bucketing
+      this.routingService.ensureAnonymousId(req, res);
+      
       // Determine which version to serve
-      const version = this.routingService.determineVersion(req);
+      const decision = forcedVersion
+        ? this.routingService.forceVersion(forcedVersion)
+        : this.routingService.determineVersion(req);
+      version = decision.version;
       
       // Set sticky session cookie
-      this.routingService.setStickySession(res, version);
+      if (this.routingService.shouldSetStickySession(req, decision)) {
+        this.routingService.setStickySession(res, version);
+      }
       
       // Get pricing data
       const pricingData = await this.pricingModel.getPricingData(version);
       
       // Validate data
-      if (!this.pricingModel.validatePricingData(pricingData)) {
-        throw new Error(`Invalid pricing data for version: ${version}`);
+      const validationErrors = this.pricingModel.getValidationErrors(pricingData);
+      if (validationErrors.length > 0) {
+        const error = new Error(`Invalid pricing data for version: ${version}`);
+        error.details = validationErrors;
+        throw error;
       }
       
+      // Keep a last-known-good copy for maintenance mode
+      this.maintenance.recordPayload(version, pricingData);
+      
       // Update statistics
-      this.updateStats(version, req);
+      this.trafficStats.recordRequest(version, req);
       
       // Add routing metadata
       const response = {
@@ -41,98 +66,121 @@ class PricingService {
           version,
           servedAt: new Date().toISOString(),
           clientId: this.generateClientId(req),
-          routingReason: this.getRoutingReason(req, version)
+          routingReason: decision.reason,
+          trace: config.debug.routingTrace ? decision.trace : undefined
         }
       };
       
+      this.trafficStats.recordOutcome(version, startTime, false);
+      
+      // Exercise the candidate version in the background; users never wait for it
+      this.shadowService.observe(version, pricingData);
+      
       return response;
     } catch (error) {
+      if (version) {
+        this.trafficStats.recordOutcome(version, startTime, true);
+      }
       console.error('Error in PricingService.getPricing:', error);
       throw error;
     }
   }
 
   /**
-   * Generate a client ID for tracking
-   * @param {Object} req 
-   * @returns {string}
+   * Serve the last-known-good payload of the version the request routes to,
+   * without touching stats, sticky sessions or rollout counts
+   * @param {Object} req - Express request object
+   * @param {Object} [options]
+   * @param {string} [options.forcedVersion] - Serve this version instead of routing the request
+   * @returns {Promise<Object>} Cached pricing data with metadata
+   * @throws {Error} With status 503 and `retryAfter` when nothing can be served
    */
-  generateClientId(req) {
-    const ip = this.routingService.getClientIp(req);
-    const userAgent = req.headers['user-agent'] || 'unknown';
-    const timestamp = Date.now();
+  async getMaintenancePricing(req, { forcedVersion } = {}) {
+    await this.maintenance.ready();
+    const { serveCached, retryAfterSeconds, message } = this.maintenance.getStatus();
+    const { version } = forcedVersion
+      ? this.routingService.forceVersion(forcedVersion)
+      : this.routingService.determineVersion(req, { simulate: true });
+    const cached = serveCached ? this.maintenance.getCachedPayload(version) : null;
     
-    // Create a simple hash for client identification
-    const identifier = `${ip}-${userAgent}-${timestamp}`;
-    return Buffer.from(identifier).toString('base64').substring(0, 12);
+    if (!cached) {
+      const error = new Error(message);
+      error.status = 503;
+      error.retryAfter = retryAfterSeconds;
+      throw error;
+    }
+    
+    return {
+      ...cached.payload,
+      routing: {
+        version,
+        servedAt: new Date().toISOString(),
+        clientId: this.generateClientId(req),
+        routingReason: 'maintenance-cache',
+        cachedAt: cached.storedAt
+      }
+    };
   }
 
   /**
-   * Determine why a specific version was chosen
-   * @param {Object} req 
+   * Serve a version's unpublished draft for preview, straight from storage,
+   * without touching stats, sticky sessions, rollout counts or the cache
+   * @param {Object} req - Express request object
    * @param {string} version 
-   * @returns {string}
+   * @returns {Promise<Object>} Draft pricing data with metadata
+   * @throws {Error} With status 404 when the version has no draft
    */
-  getRoutingReason(req, version) {
-    const { priority } = this.routingService.routingConfig;
-    
-    // Check sticky session first
-    if (this.routingService.routingConfig.stickySession.enabled) {
-      const stickyVersion = this.routingService.checkStickySession(req);
-      if (stickyVersion === version) {
-        return 'sticky-session';
-      }
+  async getDraftPricing(req, version) {
+    if (!await this.pricingModel.hasStoredDocument(version, 'draft')) {
+      const error = new Error(`${version} has no draft`);
+      error.status = 404;
+      throw error;
     }
     
-    // Check each rule in priority order
-    for (const rule of priority) {
-      const ruleConfig = this.routingService.routingConfig[rule];
-      if (!ruleConfig || !ruleConfig.enabled) continue;
-      
-      switch (rule) {
-        case 'header':
-          const headerValue = req.headers[ruleConfig.headerName.toLowerCase()];
-          if ((headerValue === ruleConfig.blueValue && version === 'blue') ||
-              (headerValue === ruleConfig.greenValue && version === 'green')) {
-            return `header-${ruleConfig.headerName}`;
-          }
-          break;
-          
-        case 'cookie':
-          const cookieValue = req.cookies[ruleConfig.cookieName];
-          if (cookieValue === version) {
-            return `cookie-${ruleConfig.cookieName}`;
-          }
-          break;
-          
-        case 'ip':
-          const clientIp = this.routingService.getClientIp(req);
-          if ((ruleConfig.blueIps.includes(clientIp) && version === 'blue') ||
-              (ruleConfig.greenIps.includes(clientIp) && version === 'green')) {
-            return 'ip-based';
-          }
-          break;
-          
-        case 'percentage':
-          return 'percentage-split';
-      }
+    const draft = await this.pricingModel.readStoredDocument(version, 'draft');
+    const validationErrors = this.pricingModel.getValidationErrors(draft);
+    if (validationErrors.length > 0) {
+      const error = new Error(`Invalid draft pricing data for version: ${version}`);
+      error.details = validationErrors;
+      throw error;
     }
     
-    return 'default-fallback';
+    return {
+      ...draft,
+      version,
+      routing: {
+        version,
+        servedAt: new Date().toISOString(),
+        clientId: this.generateClientId(req),
+        routingReason: 'draft-preview',
+        draft: true
+      }
+    };
   }
 
   /**
-   * Update service statistics
-   * @param {string} version 
+   * Generate a client ID for tracking
    * @param {Object} req 
+   * @returns {string}
    */
-  updateStats(version, req) {
-    // Update version counts
-    this.versionStats[version] = (this.versionStats[version] || 0) + 1;
+  generateClientId(req) {
+    const ip = this.routingService.getClientIp(req);
+    const userAgent = req.headers['user-agent'] || 'unknown';
+    const timestamp = Date.now();
     
-    // Update request count by IP
-    const clientIp = this.routingService.getClientIp(req);
-    this.requestCount.set(clientIp, (this.requestCount.get(clientIp) || 0) + 1);
+    // Create a simple hash for client identification
+    const identifier = `${ip}-${userAgent}-${timestamp}`;
+    return Buffer.from(identifier).toString('base64').substring(0, 12);
+  }
+
+  /**
+   * Explain how a request would be routed, without serving or counting it
+   * @param {Object} req - A real or simulated request
+   * @param {Object} [options] - Passed to determineVersion
+   * @returns {Object} { version, reason, trace }
+   */
+  explainRouting(req, options = {}) {
+    return this.routingService.determineVersion(req, { ...options, simulate: true });
   }
 
   /**
@@ -140,21 +188,10 @@ class PricingService {
    * @returns {Object}
    */
   getStats() {
-    const totalRequests = this.versionStats.blue + this.versionStats.green;
-    
     return {
-      totalRequests,
-      versionDistribution: {
-        blue: {
-          count: this.versionStats.blue,
-          percentage: totalRequests > 0 ? ((this.versionStats.blue / totalRequests) * 100).toFixed(2) : 0
-        },
-        green: {
-          count: this.versionStats.green,
-          percentage: totalRequests > 0 ? ((this.versionStats.green / totalRequests) * 100).toFixed(2) : 0
-        }
-      },
-      uniqueClients: this.requestCount.size,
+      ...this.trafficStats.getSummary(),
+      versionMetrics: this.trafficStats.versionMetrics.getAllMetrics(),
+      shadow: this.shadowService.getReport(),
       routingConfig: this.routingService.getRoutingStats(),
       cacheStats: this.pricingModel.getCacheStats()
     };
@@ -164,8 +201,7 @@ class PricingService {
    * Reset statistics
    */
   resetStats() {
-    this.versionStats = { blue: 0, green: 0 };
-    this.requestCount.clear();
+    this.trafficStats.reset();
   }
 
   /**
@@ -174,25 +210,30 @@ class PricingService {
    */
   async healthCheck() {
     try {
-      // Try to load both versions
-      const blueData = await this.pricingModel.getPricingData('blue');
-      const greenData = await this.pricingModel.getPricingData('green');
+      // Try to load and validate every registered version
+      const versions = {};
+      for (const version of this.pricingModel.getAvailableVersions()) {
+        const data = await this.pricingModel.getPricingData(version);
+        const rejectedChange = this.pricingModel.getRejectedChange(version);
+        const errors = rejectedChange?.errors || this.pricingModel.getValidationErrors(data);
+        versions[version] = {
+          available: true,
+          valid: errors.length === 0,
+          errors,
+          // The file on disk is invalid and the previous copy is still served
+          servingLastGoodCopy: Boolean(rejectedChange),
+          plansCount: data.plans?.length || 0,
+          lastUpdated: data.metadata?.lastUpdated
+        };
+      }
       
       return {
-        status: 'healthy',
-        versions: {
-          blue: {
-            available: true,
-            plansCount: blueData.plans?.length || 0,
-            lastUpdated: blueData.metadata?.lastUpdated
-          },
-          green: {
-            available: true,
-            plansCount: greenData.plans?.length || 0,
-            lastUpdated: greenData.metadata?.lastUpdated
-          }
-        },
-        routing: this.routingService.getRoutingStats()
+        // Requests routed to an invalid version fail, the others are still served
+        status: Object.values(versions).every(({ valid }) => valid) ? 'healthy' : 'degraded',
+        versions,
+        versionMetrics: this.trafficStats.versionMetrics.getAllMetrics(),
+        routing: this.routingService.getRoutingStats(),
+        maintenance: this.maintenance.getStatus()
       };
     } catch (error) {
       return {
@@ -0,0 +1,316 @@
+import http from 'http';
+import https from 'https';
+import config from '../config/index.js';
+
+// Headers that describe a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Failures where the upstream never received the request, so retrying is safe
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// A reset connection may have delivered the request, so only these methods are retried after one
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+class ProxyService {
+  /**
+   * @param {RoutingService} routingService - Router whose decisions pick the upstream
+   * @param {UpstreamHealthService} upstreamHealth
+   * @param {TrafficStats} trafficStats - Counts shared with /pricing, feeding automatic rollback
+   */
+  constructor(routingService, upstreamHealth, trafficStats) {
+    this.routingService = routingService;
+    this.upstreamHealth = upstreamHealth;
+    this.trafficStats = trafficStats;
+  }
+
+  /**
+   * The live proxy configuration
+   * @returns {Object}
+   */
+  get proxyConfig() {
+    return config.routing.proxy;
+  }
+
+  /**
+   * Whether a request should be forwarded to an upstream.
+   * /admin always stays local so proxy mode can be switched off again.
+   * @param {Object} req - Express request object
+   * @returns {boolean}
+   */
+  isProxiedRequest(req) {
+    const { enabled, mountPath } = this.proxyConfig;
+    const isUnder = (prefix) => prefix === '/' || req.path === prefix || req.path.startsWith(`${prefix}/`);
+
+    return Boolean(enabled) && isUnder(mountPath) && !isUnder('/admin');
+  }
+
+  /**
+   * Route a request and forward it to the chosen version's upstream,
+   * retrying against another version when the connection fails
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forward(req, res) {
+    this.routingService.ensureAnonymousId(req, res);
+
+    const decision = this.routingService.determineVersion(req);
+    let version = decision.version;
+
+    if (!this.upstreamHealth.isHealthy(version)) {
+      const fallback = this.getFallbackVersion(version);
+      if (fallback) {
+        console.warn(`[PROXY] ${version} upstream unhealthy, sending request to ${fallback}`);
+        version = fallback;
+      }
+    }
+
+    let body;
+    try {
+      body = await this.readBody(req);
+    } catch (error) {
+      if (error.clientClosed) {
+        return;
+      }
+      return this.sendError(res, error.status || 400, error.message);
+    }
+
+    // Pin the session only to the version the rules chose, not to a fallback
+    if (version === decision.version && this.routingService.shouldSetStickySession(req, decision)) {
+      this.routingService.setStickySession(res, version);
+    }
+
+    const tried = new Set();
+    while (version) {
+      tried.add(version);
+      const startTime = Date.now();
+
+      try {
+        const statusCode = await this.send(req, res, version, body);
+        this.trafficStats.recordRequest(version, req);
+        this.trafficStats.recordOutcome(version, startTime, statusCode >= 500);
+        return;
+      } catch (error) {
+        // The client left; the upstream is not at fault and there is no one to answer
+        if (error.clientClosed) {
+          console.warn(`[PROXY] ${req.method} ${req.originalUrl} to ${version} aborted: client disconnected`);
+          return;
+        }
+
+        this.trafficStats.recordOutcome(version, startTime, true);
+        this.upstreamHealth.recordFailure(version, error.message);
+        console.error(`[PROXY] ${req.method} ${req.originalUrl} to ${version} failed: ${error.message}`);
+
+        // A response that already started streaming can only be cut off
+        if (res.headersSent) {
+          return res.destroy(error);
+        }
+        if (error.timeout) {
+          return this.sendError(res, 504, `Upstream ${version} timed out`);
+        }
+        if (!this.isRetryable(req, error)) {
+          return this.sendError(res, 502, `Upstream ${version} unavailable`);
+        }
+
+        version = this.getFallbackVersion(version, tried);
+      }
+    }
+
+    this.sendError(res, 502, 'No upstream available');
+  }
+
+  /**
+   * Send one attempt to a version's upstream and stream the response back.
+   * The attempt always settles: the upstream request is aborted when the
+   * upstream goes quiet for `timeoutMs`, when the whole exchange runs past
+   * `requestTimeoutMs`, or when the client disconnects.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} version
+   * @param {Buffer} body - Buffered request body
+   * @returns {Promise<number>} The upstream status, once the response has been piped; rejects on failure
+   */
+  send(req, res, version, body) {
+    const { timeoutMs, requestTimeoutMs, mountPath } = this.proxyConfig;
+    const upstream = new URL(config.versions.find(({ name }) => name === version).upstream);
+    const path = mountPath === '/' ? req.originalUrl : req.originalUrl.slice(mountPath.length) || '/';
+
+    const headers = { ...req.headers };
+    for (const name of HOP_BY_HOP_HEADERS) {
+      delete headers[name];
+    }
+    headers.host = upstream.host;
+    headers['content-length'] = String(body.length);
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+    headers['x-forwarded-host'] = req.headers.host;
+    headers['x-forwarded-proto'] = req.protocol;
+
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error, statusCode) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(deadline);
+        res.off('close', onClientClose);
+        if (error) {
+          proxyReq.destroy();
+          reject(error);
+        } else {
+          resolve(statusCode);
+        }
+      };
+      const timeout = (message) => {
+        const error = new Error(message);
+        error.timeout = true;
+        settle(error);
+      };
+      const onClientClose = () => {
+        if (!res.writableFinished) {
+          const error = new Error('Client disconnected');
+          error.clientClosed = true;
+          settle(error);
+        }
+      };
+
+      const proxyReq = (upstream.protocol === 'https:' ? https : http).request({
+        protocol: upstream.protocol,
+        hostname: upstream.hostname,
+        port: upstream.port,
+        method: req.method,
+        path: `${upstream.pathname.replace(/\/$/, '')}${path.startsWith('/') ? path : `/${path}`}`,
+        headers
+      }, proxyRes => {
+        this.upstreamHealth.recordSuccess(version, Date.now() - startTime);
+        this.copyResponseHeaders(proxyRes, res);
+        res.setHeader('X-Version-Served', version);
+        res.status(proxyRes.statusCode);
+
+        proxyRes.pipe(res);
+        proxyRes.on('end', () => settle(null, proxyRes.statusCode));
+        proxyRes.on('error', settle);
+        proxyRes.on('close', () => {
+          if (!proxyRes.complete) {
+            settle(new Error('Upstream closed the response before it was complete'));
+          }
+        });
+      });
+
+      const deadline = setTimeout(() => timeout(`No complete response within ${requestTimeoutMs}ms`), requestTimeoutMs);
+      proxyReq.setTimeout(timeoutMs, () => timeout(`No response within ${timeoutMs}ms`));
+      proxyReq.on('error', settle);
+      res.on('close', onClientClose);
+      proxyReq.end(body);
+    });
+  }
+
+  /**
+   * Whether a failed attempt may be sent to another version
+   * @param {Object} req - Express request object
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(req, error) {
+    if (!this.proxyConfig.retryOnConnectionError) {
+      return false;
+    }
+    return CONNECTION_ERRORS.includes(error.code) ||
+      (error.code === 'ECONNRESET' && IDEMPOTENT_METHODS.includes(req.method));
+  }
+
+  /**
+   * Copy upstream response headers, keeping cookies the router already set
+   * @param {Object} proxyRes - Upstream response
+   * @param {Object} res - Express response object
+   */
+  copyResponseHeaders(proxyRes, res) {
+    for (const [name, value] of Object.entries(proxyRes.headers)) {
+      if (HOP_BY_HOP_HEADERS.includes(name)) continue;
+
+      if (name === 'set-cookie') {
+        const existing = res.getHeader('set-cookie') || [];
+        res.setHeader('set-cookie', [...[].concat(existing), ...value]);
+      } else {
+        res.setHeader(name, value);
+      }
+    }
+  }
+
+  /**
+   * Pick another healthy version to serve from, preferring the default version
+   * @param {string} failedVersion
+   * @param {Set<string>} [exclude] - Versions already tried
+   * @returns {string|null}
+   */
+  getFallbackVersion(failedVersion, exclude = new Set()) {
+    const { defaultVersion } = this.routingService.routingConfig;
+    const candidates = [defaultVersion, ...this.routingService.getVersionNames()]
+      .filter(version => version !== failedVersion && !exclude.has(version));
+
+    return candidates.find(version => this.upstreamHealth.isHealthy(version)) || null;
+  }
+
+  /**
+   * Buffer the request body so it can be replayed on retry
+   * @param {Object} req - Express request object
+   * @returns {Promise<Buffer>}
+   */
+  readBody(req) {
+    const { maxBodyBytes } = this.proxyConfig;
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBodyBytes) {
+          // Keep draining so the error response can still be sent
+          const error = new Error(`Request body exceeds ${maxBodyBytes} bytes`);
+          error.status = 413;
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+      req.on('close', () => {
+        if (!req.complete) {
+          const error = new Error('Client disconnected');
+          error.clientClosed = true;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a proxy error response
+   * @param {Object} res - Express response object
+   * @param {number} status
+   * @param {string} message
+   */
+  sendError(res, status, message) {
+    res.status(status).json({
+      success: false,
+      error: {
+        message
+      },
+      meta: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
+
+export default ProxyService;
@@ -0,0 +1,364 @@
+import { isValidVersion } from '../utils/helpers.js';
+import { logInfo } from '../utils/log.js';
+import { validateRolloutPlan } from '../utils/rolloutPlans.js';
+
+class RolloutService {
+  /**
+   * @param {Object|null} rolloutConfig - Configured plan to start with
+   * @param {Object} [options]
+   * @param {Function} [options.isValidVersion] - Version check for plans (defaults to the live registry)
+   */
+  constructor(rolloutConfig = null, { isValidVersion: isKnownVersion = isValidVersion } = {}) {
+    this.plan = null;
+    this.rollback = null;
+    this.isValidVersion = isKnownVersion;
+
+    if (rolloutConfig?.enabled) {
+      try {
+        this.start(rolloutConfig);
+      } catch (error) {
+        console.error('[ROLLOUT] Ignoring invalid rollout plan:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Replace the plan when the configured rollout definition changes.
+   * An active rollback is kept until it is cleared explicitly.
+   * @param {Object|null} rolloutConfig
+   */
+  reconfigure(rolloutConfig) {
+    if (!rolloutConfig?.enabled) {
+      if (this.plan) {
+        logInfo(`[ROLLOUT] Plan ${this.plan.id} removed by configuration change`);
+      }
+      this.plan = null;
+      return;
+    }
+
+    try {
+      this.start(rolloutConfig);
+    } catch (error) {
+      console.error('[ROLLOUT] Ignoring invalid rollout plan:', error.message);
+    }
+  }
+
+  /**
+   * Validate a rollout plan definition
+   * @param {Object} definition
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validate(definition) {
+    return validateRolloutPlan(definition, this.isValidVersion);
+  }
+
+  /**
+   * Start a new rollout plan, replacing any existing one
+   * @param {Object} definition - targetVersion, baseVersion, steps, stepType, stepInterval
+   * @returns {Object} Plan status
+   */
+  start(definition) {
+    const errors = this.validate(definition);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid rollout plan: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    const now = Date.now();
+    this.plan = {
+      id: `rollout-${now}`,
+      targetVersion: definition.targetVersion,
+      baseVersion: definition.baseVersion,
+      steps: [...definition.steps],
+      stepType: definition.stepType,
+      stepInterval: definition.stepInterval,
+      status: 'running',
+      currentStep: 0,
+      startedAt: now,
+      stepStartedAt: now,
+      stepElapsed: 0,
+      stepRequests: 0,
+      pausedAt: null,
+      completedAt: null
+    };
+    this.checkCompleted();
+
+    logInfo(`[ROLLOUT] Started ${this.plan.id}: ${this.plan.baseVersion} -> ${this.plan.targetVersion} ` +
+               `(${this.plan.steps.join('% -> ')}%)`);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Pause the active plan, freezing the current split
+   * @returns {Object} Plan status
+   */
+  pause() {
+    const plan = this.requirePlan();
+
+    if (plan.status !== 'running') {
+      throw this.stateError(`Cannot pause a rollout that is ${plan.status}`);
+    }
+
+    this.advance();
+    if (plan.status === 'running') {
+      plan.stepElapsed += Date.now() - plan.stepStartedAt;
+      plan.status = 'paused';
+      plan.pausedAt = Date.now();
+      logInfo(`[ROLLOUT] Paused ${plan.id} at ${this.getCurrentPercentage()}%`);
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Shift all percentage traffic back to the stable version.
+   * Stays in effect until resume() is called explicitly.
+   * @param {Object} details
+   * @param {string} details.version - Version that misbehaved
+   * @param {string} details.stableVersion - Version to send traffic to
+   * @param {string} details.reason - Human readable trigger
+   * @param {Object} details.metrics - Metrics snapshot at trigger time
+   * @returns {Object} Rollback status
+   */
+  rollBack({ version, stableVersion, reason, metrics }) {
+    if (this.rollback) {
+      return this.rollback;
+    }
+
+    this.rollback = {
+      version,
+      stableVersion,
+      reason,
+      metrics,
+      triggeredAt: new Date().toISOString(),
+      planId: this.plan?.id || null
+    };
+
+    if (this.plan && ['running', 'paused'].includes(this.plan.status)) {
+      if (this.plan.status === 'running') {
+        this.plan.stepElapsed += Date.now() - this.plan.stepStartedAt;
+      }
+      this.plan.statusBeforeRollback = this.plan.status;
+      this.plan.status = 'rolled-back';
+    }
+
+    console.error(`[ROLLBACK] Traffic shifted from ${version} to ${stableVersion}: ${reason}`);
+
+    return this.rollback;
+  }
+
+  /**
+   * Resume a paused plan, or clear an active rollback and return the
+   * plan to where it was. Clearing a rollback only happens through this call.
+   * @returns {Object} Plan status
+   */
+  resume() {
+    if (this.rollback) {
+      logInfo(`[ROLLBACK] Cleared rollback of ${this.rollback.version}`);
+      this.rollback = null;
+
+      if (this.plan?.status === 'rolled-back') {
+        this.plan.status = this.plan.statusBeforeRollback;
+        this.plan.stepStartedAt = Date.now();
+      }
+
+      return this.getStatus();
+    }
+
+    const plan = this.requirePlan();
+
+    if (plan.status !== 'paused') {
+      throw this.stateError(`Cannot resume a rollout that is ${plan.status}`);
+    }
+
+    plan.status = 'running';
+    plan.stepStartedAt = Date.now();
+    plan.pausedAt = null;
+    logInfo(`[ROLLOUT] Resumed ${plan.id} at ${this.getCurrentPercentage()}%`);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Count a percentage-routed request towards request-based steps
+   */
+  recordRequest() {
+    if (this.plan?.status === 'running') {
+      this.plan.stepRequests++;
+    }
+  }
+
+  /**
+   * Move the plan forward for every step interval that has elapsed
+   */
+  advance() {
+    const plan = this.plan;
+
+    if (!plan || plan.status !== 'running') {
+      return;
+    }
+
+    while (plan.status === 'running' && this.isStepDue()) {
+      plan.currentStep++;
+      plan.stepStartedAt = plan.stepType === 'time'
+        ? plan.stepStartedAt + plan.stepInterval - plan.stepElapsed
+        : Date.now();
+      plan.stepElapsed = 0;
+      plan.stepRequests = 0;
+      logInfo(`[ROLLOUT] ${plan.id} advanced to ${this.getCurrentPercentage()}% ${plan.targetVersion}`);
+      this.checkCompleted();
+    }
+  }
+
+  /**
+   * Whether the current step has run for its full interval
+   * @returns {boolean}
+   */
+  isStepDue() {
+    const plan = this.plan;
+
+    if (plan.stepType === 'requests') {
+      return plan.stepRequests >= plan.stepInterval;
+    }
+
+    return plan.stepElapsed + (Date.now() - plan.stepStartedAt) >= plan.stepInterval;
+  }
+
+  /**
+   * Mark the plan completed once it reaches its final step
+   */
+  checkCompleted() {
+    if (this.plan.currentStep >= this.plan.steps.length - 1) {
+      this.plan.status = 'completed';
+      this.plan.completedAt = Date.now();
+    }
+  }
+
+  /**
+   * Copy the plan and rollback state, e.g. to seed a simulation
+   * @returns {Object} { plan, rollback }
+   */
+  snapshot() {
+    return structuredClone({ plan: this.plan, rollback: this.rollback });
+  }
+
+  /**
+   * Replace the plan and rollback state with a snapshot
+   * @param {Object} state - Result of snapshot()
+   */
+  restore(state) {
+    const { plan, rollback } = structuredClone(state);
+    this.plan = plan;
+    this.rollback = rollback;
+  }
+
+  /**
+   * Get the percentage split the plan currently dictates
+   * @returns {Object|null} Split by version, or null when no plan is active
+   */
+  getSplit() {
+    if (this.rollback) {
+      return { [this.rollback.stableVersion]: 100 };
+    }
+
+    this.advance();
+
+    if (!this.plan) {
+      return null;
+    }
+
+    const targetPercentage = this.getCurrentPercentage();
+    return {
+      [this.plan.baseVersion]: 100 - targetPercentage,
+      [this.plan.targetVersion]: targetPercentage
+    };
+  }
+
+  /**
+   * Get the target version percentage of the current step
+   * @returns {number}
+   */
+  getCurrentPercentage() {
+    return this.plan ? this.plan.steps[this.plan.currentStep] : 0;
+  }
+
+  /**
+   * Get a serializable view of the plan
+   * @returns {Object|null}
+   */
+  getStatus() {
+    this.advance();
+
+    const plan = this.plan;
+    if (!plan) {
+      return null;
+    }
+
+    const isLastStep = plan.currentStep >= plan.steps.length - 1;
+    const status = {
+      id: plan.id,
+      status: plan.status,
+      baseVersion: plan.baseVersion,
+      targetVersion: plan.targetVersion,
+      steps: plan.steps,
+      stepType: plan.stepType,
+      stepInterval: plan.stepInterval,
+      currentStep: plan.currentStep,
+      currentPercentage: this.getCurrentPercentage(),
+      nextPercentage: isLastStep ? null : plan.steps[plan.currentStep + 1],
+      startedAt: new Date(plan.startedAt).toISOString(),
+      pausedAt: plan.pausedAt ? new Date(plan.pausedAt).toISOString() : null,
+      completedAt: plan.completedAt ? new Date(plan.completedAt).toISOString() : null
+    };
+
+    if (plan.status === 'running' && !isLastStep) {
+      if (plan.stepType === 'time') {
+        const remaining = plan.stepInterval - plan.stepElapsed - (Date.now() - plan.stepStartedAt);
+        status.nextStepAt = new Date(Date.now() + remaining).toISOString();
+      } else {
+        status.requestsUntilNextStep = plan.stepInterval - plan.stepRequests;
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Get the active rollback, if any
+   * @returns {Object|null}
+   */
+  getRollback() {
+    return this.rollback;
+  }
+
+  /**
+   * Return the active plan or throw a 404-style error
+   * @returns {Object}
+   */
+  requirePlan() {
+    if (!this.plan) {
+      const error = new Error('No rollout plan is defined');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.plan;
+  }
+
+  /**
+   * Build a 409-style error for invalid state transitions
+   * @param {string} message
+   * @returns {Error}
+   */
+  stateError(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+}
+
+export default RolloutService;
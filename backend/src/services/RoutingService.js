@@ -1,81 +1,490 @@
 import crypto from 'crypto';
-import config from '../config/index.js';
+import config, { buildRoutingConfig, buildVersions, configEvents } from '../config/index.js';
+import { getVersionNames } from '../utils/helpers.js';
+import CutoverService from './CutoverService.js';
+import KillSwitchService from './KillSwitchService.js';
+import RolloutService from './RolloutService.js';
+import RuleEngine from './RuleEngine.js';
+import { ipMatchesList, normalizeIp } from '../utils/ipUtils.js';
+import { classifyUserAgent } from '../utils/userAgent.js';
+import { getGeoIpStatus, loadGeoIpDatabase, lookupCountry } from '../utils/geoIp.js';
+import { verifyPreviewToken } from '../utils/previewTokens.js';
+import { createStickyValue, parseStickyValue } from '../utils/stickyCookies.js';
+import { getNextScheduleChange, isScheduleActive } from '../utils/timeWindows.js';
 
 class RoutingService {
-  constructor() {
-    this.routingConfig = config.routing;
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rules] - Candidate routing rules document. Gives a
+   *   detached router that ignores live config changes, for simulations.
+   * @param {Function} [options.getConfigRevision] - Returns the routing config revision
+   *   number in effect, embedded in sticky cookies
+   */
+  constructor({ rules = null, getConfigRevision = () => 0 } = {}) {
+    if (rules) {
+      const versions = buildVersions(rules);
+      this.candidate = { versions, routing: buildRoutingConfig(rules, versions) };
+    } else {
+      this.candidate = null;
+    }
+    
+    this.rolloutService = new RolloutService(this.routingConfig.percentage.rollout, {
+      isValidVersion: (version) => this.isValidVersion(version)
+    });
+    this.killSwitchService = new KillSwitchService({
+      isValidVersion: (version) => this.isValidVersion(version)
+    });
+    this.cutoverService = new CutoverService({
+      isValidVersion: (version) => this.isValidVersion(version),
+      getSettings: () => this.routingConfig.cutover
+    });
+    this.ruleEngine = new RuleEngine();
+    this.getConfigRevision = getConfigRevision;
+    // When the split, rollout or cutover sticky sessions were assigned under last changed
+    this.assignmentState = { key: null, changedAt: 0 };
+    
+    if (!this.candidate) {
+      this.loadGeoDatabase();
+      configEvents.on('routing-changed', ({ previous, current }) => {
+        const previousRollout = JSON.stringify(previous.percentage.rollout);
+        if (JSON.stringify(current.percentage.rollout) !== previousRollout) {
+          this.rolloutService.reconfigure(current.percentage.rollout);
+        }
+        this.loadGeoDatabase();
+      });
+    }
+  }
+
+  /**
+   * The routing configuration in use: the candidate's, or the live one,
+   * re-read on every access so reloads apply immediately
+   * @returns {Object}
+   */
+  get routingConfig() {
+    return this.candidate?.routing || config.routing;
+  }
+
+  /**
+   * Names of the versions this router can assign, in registration order
+   * @returns {Array<string>}
+   */
+  getVersionNames() {
+    return this.candidate ? this.candidate.versions.map(({ name }) => name) : getVersionNames();
+  }
+
+  /**
+   * Check that a version is registered with this router
+   * @param {string} version 
+   * @returns {boolean}
+   */
+  isValidVersion(version) {
+    return this.getVersionNames().includes(version);
   }
 
   /**
-   * Determine which version (blue/green) to serve based on routing rules
+   * Determine which registered version to serve based on routing rules,
+   * recording every check made along the way
    * @param {Object} req - Express request object
-   * @returns {string} 'blue' or 'green'
+   * @param {Object} [options]
+   * @param {boolean} [options.simulate] - Leave rollout request counts untouched
+   * @param {Date} [options.now] - Time to evaluate time-based conditions at
+   * @returns {Object} { version, reason, trace, draining }
    */
-  determineVersion(req) {
-    const { priority } = this.routingConfig;
+  determineVersion(req, options = {}) {
+    const { shadow } = this.routingConfig;
+    const trace = [];
     
-    // Check sticky session first
+    // The kill switch overrides everything, preview links included
+    const killSwitchDecision = this.getKillSwitchDecision();
+    if (killSwitchDecision) {
+      return killSwitchDecision;
+    }
+    
+    // Shadow mode serves every request from the stable version
+    if (shadow.enabled) {
+      trace.push({
+        rule: 'shadow',
+        enabled: true,
+        matched: true,
+        version: shadow.stableVersion,
+        input: { candidateVersion: shadow.candidateVersion }
+      });
+      return { version: shadow.stableVersion, reason: 'shadow-mode', trace };
+    }
+    
+    // Check sticky session first, unless a preview link overrides it
     if (this.routingConfig.stickySession.enabled) {
-      const stickyVersion = this.checkStickySession(req);
-      if (stickyVersion) {
-        return stickyVersion;
+      const previewVersion = this.getPreviewVersion(req);
+      const session = previewVersion
+        ? { version: null, status: 'overridden-by-preview' }
+        : this.checkStickySession(req, options);
+      
+      trace.push({
+        rule: 'stickySession',
+        enabled: true,
+        matched: Boolean(session.version),
+        version: session.version,
+        input: { cookie: this.routingConfig.stickySession.cookieName, status: session.status }
+      });
+      
+      if (session.version) {
+        return {
+          version: session.version,
+          reason: 'sticky-session',
+          trace,
+          draining: session.status === 'draining'
+        };
       }
+    } else {
+      trace.push({ rule: 'stickySession', enabled: false, matched: false });
+    }
+
+    return this.routeByRules(req, options, trace);
+  }
+
+  /**
+   * Route a request by the cutover and the rules in priority order, as for
+   * a client without a sticky session
+   * @param {Object} req - Express request object
+   * @param {Object} options - As for determineVersion
+   * @param {Array<Object>} trace - Checks made so far, extended in place
+   * @returns {Object} { version, reason, trace }
+   */
+  routeByRules(req, options, trace) {
+    const { priority } = this.routingConfig;
+
+    // A cutover sends all new traffic to its target; preview links still work
+    const cutover = this.cutoverService.getActive();
+    if (cutover) {
+      const previewVersion = this.getPreviewVersion(req);
+      trace.push({
+        rule: 'cutover',
+        enabled: true,
+        matched: !previewVersion,
+        version: previewVersion ? null : cutover.targetVersion,
+        input: { id: cutover.id, status: cutover.status, previewVersion }
+      });
+      
+      if (previewVersion) {
+        return { version: previewVersion, reason: 'preview-link', trace };
+      }
+      return { version: cutover.targetVersion, reason: 'cutover', trace };
     }
 
     // Apply routing rules based on priority
     for (const rule of priority) {
-      const version = this.applyRule(rule, req);
-      if (version) {
-        return version;
+      const step = this.applyRule(rule, req, options);
+      trace.push(step);
+      if (step.matched) {
+        return this.avoidRolledBackVersion({ version: step.version, reason: step.reason, trace });
       }
     }
 
     // Default fallback
-    return 'blue';
+    return this.avoidRolledBackVersion({ version: this.routingConfig.defaultVersion, reason: 'default-fallback', trace });
+  }
+
+  /**
+   * Send a decision for a version that was automatically rolled back to the
+   * stable version instead, whichever rule chose it. Preview links are
+   * exempt, so the failing version can still be inspected.
+   * @param {Object} decision - { version, reason, trace }
+   * @returns {Object} The decision to serve
+   */
+  avoidRolledBackVersion(decision) {
+    const rollback = this.rolloutService.getRollback();
+
+    if (!rollback || decision.version !== rollback.version || decision.reason === 'preview-link') {
+      return decision;
+    }
+
+    decision.trace.push({
+      rule: 'autoRollback',
+      enabled: true,
+      matched: true,
+      version: rollback.stableVersion,
+      input: { rolledBackVersion: rollback.version, chosenBy: decision.reason }
+    });
+    return { version: rollback.stableVersion, reason: 'auto-rollback', trace: decision.trace };
   }
 
   /**
-   * Check for existing sticky session
+   * Check for existing sticky session. Cookies that fail signature
+   * verification or have expired are ignored, so the client is reassigned.
+   * Cookies from an earlier config revision, or from before the split,
+   * rollout or cutover changed, are only reassigned when the rules would
+   * now give the client another version. Sessions from before a cutover
+   * keep their version until the drain completes.
    * @param {Object} req 
-   * @returns {string|null}
+   * @param {Object} [options] - `simulate` leaves cutover session tracking untouched
+   * @returns {Object} { version, status }; version is null unless status is 'valid' or 'draining'
    */
-  checkStickySession(req) {
+  checkStickySession(req, options = {}) {
     const { cookieName } = this.routingConfig.stickySession;
-    const sessionVersion = req.cookies[cookieName];
+    const value = req.cookies?.[cookieName];
     
-    if (sessionVersion && ['blue', 'green'].includes(sessionVersion)) {
-      return sessionVersion;
+    if (!value) {
+      return { version: null, status: 'missing' };
     }
     
-    return null;
+    const session = parseStickyValue(value);
+    if (!session) {
+      return { version: null, status: 'invalid-signature' };
+    }
+    if (!this.isValidVersion(session.version)) {
+      return { version: null, status: 'unknown-version' };
+    }
+    
+    const maxAge = this.routingConfig.cookie.maxAge || 86400000;
+    if (Date.now() - session.assignedAt > maxAge) {
+      return { version: null, status: 'expired' };
+    }
+    
+    // Sessions pinned to a rolled-back version are moved back through the rules
+    const rollback = this.rolloutService.getRollback();
+    if (rollback && session.version === rollback.version) {
+      return { version: null, status: 'rolled-back' };
+    }
+    
+    // Sessions from before a cutover keep their version while it drains
+    const cutover = this.cutoverService.getActive();
+    if (cutover && session.version !== cutover.targetVersion && session.assignedAt < cutover.startedAt) {
+      if (cutover.status !== 'draining') {
+        return { version: null, status: 'idle-version' };
+      }
+      if (!options.simulate) {
+        this.cutoverService.recordDrainingSession(value, session.version);
+      }
+      return { version: session.version, status: 'draining' };
+    }
+    
+    // After a config change, or a change of split, rollout or cutover, the
+    // session is only reassigned if the rules now give this client another version
+    if (session.revision !== String(this.getConfigRevision()) || session.assignedAt < this.getAssignmentChangedAt()) {
+      const { version } = this.routeByRules(req, { ...options, simulate: true }, []);
+      if (version !== session.version) {
+        return { version: null, status: 'outdated-revision' };
+      }
+    }
+    
+    return { version: session.version, status: 'valid' };
+  }
+
+  /**
+   * When the routing state sticky assignments depend on last changed: the
+   * effective split, the rollout plan, the cutover and the bucketing salt.
+   * Rollout steps and scheduled splits change it without a config change.
+   * @returns {number} Timestamp, 0 if unchanged since startup
+   */
+  getAssignmentChangedAt() {
+    const key = JSON.stringify({
+      split: this.getPercentageSplit(),
+      rollout: this.rolloutService.getStatus()?.id || null,
+      cutover: this.cutoverService.getActive()?.id || null,
+      salt: this.routingConfig.percentage.bucketing.salt
+    });
+    
+    if (this.assignmentState.key !== null && this.assignmentState.key !== key) {
+      this.assignmentState.changedAt = Date.now();
+    }
+    this.assignmentState.key = key;
+    
+    return this.assignmentState.changedAt;
   }
 
   /**
    * Apply a specific routing rule
    * @param {string} ruleName 
    * @param {Object} req 
-   * @returns {string|null}
+   * @param {Object} [options] - As for determineVersion
+   * @returns {Object} Trace step: { rule, enabled, matched, version, reason, input }
    */
-  applyRule(ruleName, req) {
+  applyRule(ruleName, req, options = {}) {
     const ruleConfig = this.routingConfig[ruleName];
     
     if (!ruleConfig || !ruleConfig.enabled) {
-      return null;
+      return { rule: ruleName, enabled: false, matched: false };
+    }
+    
+    // Scheduled rules sit out while their window is closed
+    if (!this.isRuleScheduled(ruleConfig, options.now)) {
+      return { rule: ruleName, enabled: true, scheduled: false, matched: false };
     }
 
+    const result = this.evaluateRule(ruleName, req, ruleConfig, options);
+    
+    return {
+      rule: ruleName,
+      enabled: true,
+      matched: Boolean(result.version),
+      version: result.version || null,
+      reason: result.version ? result.reason : undefined,
+      input: result.input
+    };
+  }
+
+  /**
+   * Whether a rule's schedule, if it has one, is active
+   * @param {Object} ruleConfig 
+   * @param {Date} [now] 
+   * @returns {boolean}
+   */
+  isRuleScheduled(ruleConfig, now = new Date()) {
+    return !ruleConfig.schedule || isScheduleActive(ruleConfig.schedule, now);
+  }
+
+  /**
+   * Run one rule and describe the request input it looked at
+   * @param {string} ruleName 
+   * @param {Object} req 
+   * @param {Object} ruleConfig 
+   * @param {Object} options 
+   * @returns {Object} { version, reason, input }
+   */
+  evaluateRule(ruleName, req, ruleConfig, options) {
     switch (ruleName) {
+      case 'query':
+        return {
+          version: this.applyQueryRouting(req, ruleConfig),
+          reason: 'preview-link',
+          input: {
+            [ruleConfig.paramName]: req.query?.[ruleConfig.paramName] ?? null,
+            tokenProvided: Boolean(req.query?.[ruleConfig.tokenParam])
+          }
+        };
       case 'header':
-        return this.applyHeaderRouting(req, ruleConfig);
+        return {
+          version: this.applyHeaderRouting(req, ruleConfig),
+          reason: `header-${ruleConfig.headerName}`,
+          input: { [ruleConfig.headerName]: req.headers[ruleConfig.headerName.toLowerCase()] ?? null }
+        };
       case 'cookie':
-        return this.applyCookieRouting(req, ruleConfig);
+        return {
+          version: this.applyCookieRouting(req, ruleConfig),
+          reason: `cookie-${ruleConfig.cookieName}`,
+          input: { [ruleConfig.cookieName]: req.cookies?.[ruleConfig.cookieName] ?? null }
+        };
       case 'ip':
-        return this.applyIpRouting(req, ruleConfig);
-      case 'percentage':
-        return this.applyPercentageRouting(req, ruleConfig);
+        return {
+          version: this.applyIpRouting(req, ruleConfig),
+          reason: 'ip-based',
+          input: { ip: this.getClientIp(req) }
+        };
+      case 'geo': {
+        const match = this.applyGeoRouting(req, ruleConfig);
+        return {
+          version: match.version,
+          reason: match.reason,
+          input: { country: match.country, source: match.source }
+        };
+      }
+      case 'device': {
+        const match = this.applyDeviceRouting(req, ruleConfig);
+        return {
+          version: match?.version,
+          reason: match?.reason,
+          input: classifyUserAgent(req.headers['user-agent'])
+        };
+      }
+      case 'expression': {
+        const match = this.findExpressionMatch(req, ruleConfig, options.now);
+        return {
+          version: match?.version,
+          reason: match && `expression-${match.name}`,
+          input: { ip: this.getClientIp(req), now: (options.now || new Date()).toISOString() }
+        };
+      }
+      case 'percentage': {
+        const { version, ...input } = this.applyPercentageRouting(req, ruleConfig, options);
+        return { version, reason: 'percentage-split', input };
+      }
       default:
         console.warn(`Unknown routing rule: ${ruleName}`);
-        return null;
+        return { version: null, input: null };
+    }
+  }
+
+  /**
+   * Apply query-parameter routing for preview links
+   * (e.g. /pricing?version=green&token=...)
+   * @param {Object} req 
+   * @param {Object} config 
+   * @returns {string|null}
+   */
+  applyQueryRouting(req, config) {
+    const version = req.query?.[config.paramName];
+    
+    if (!version || !this.isValidVersion(version)) {
+      return null;
+    }
+    
+    if (!config.requireToken) {
+      return version;
     }
+    
+    return verifyPreviewToken(version, req.query[config.tokenParam]) ? version : null;
+  }
+
+  /**
+   * Get the version requested by a valid preview link, if any
+   * @param {Object} req 
+   * @returns {string|null}
+   */
+  getPreviewVersion(req) {
+    const queryConfig = this.routingConfig.query;
+    return queryConfig?.enabled && this.isRuleScheduled(queryConfig)
+      ? this.applyQueryRouting(req, queryConfig)
+      : null;
+  }
+
+  /**
+   * Decide for a request asking for a specific version (testing and
+   * debugging). The kill switch still wins: nothing bypasses it.
+   * @param {string} version
+   * @returns {Object} { version, reason, trace }
+   */
+  forceVersion(version) {
+    return this.getKillSwitchDecision() || { version, reason: 'forced-version', trace: [] };
+  }
+
+  /**
+   * The decision for every request while the kill switch is engaged
+   * @returns {Object|null} { version, reason, trace }, or null when it is released
+   */
+  getKillSwitchDecision() {
+    const killSwitch = this.killSwitchService.getStatus();
+
+    if (!killSwitch) {
+      return null;
+    }
+
+    return {
+      version: killSwitch.version,
+      reason: 'kill-switch',
+      trace: [{
+        rule: 'killSwitch',
+        enabled: true,
+        matched: true,
+        version: killSwitch.version,
+        input: { reason: killSwitch.reason, source: killSwitch.source }
+      }]
+    };
+  }
+
+  /**
+   * Whether the sticky cookie should be written for this request;
+   * preview links only pin the session when `query.setSticky` is on,
+   * draining sessions keep their old cookie so the drain can end, and
+   * the kill switch pins nobody so sessions resume once it is released
+   * @param {Object} req 
+   * @param {Object} [decision] - Result of determineVersion
+   * @returns {boolean}
+   */
+  shouldSetStickySession(req, decision = {}) {
+    if (decision.draining || decision.reason === 'kill-switch') {
+      return false;
+    }
+    return !this.getPreviewVersion(req) || this.routingConfig.query.setSticky !== false;
   }
 
   /**
@@ -87,13 +496,13 @@ class RoutingService {
   applyHeaderRouting(req, config) {
     const headerValue = req.headers[config.headerName.toLowerCase()];
     
-    if (headerValue === config.blueValue) {
-      return 'blue';
-    } else if (headerValue === config.greenValue) {
-      return 'green';
+    if (!headerValue) {
+      return null;
     }
     
-    return null;
+    // Each version matches `<version>Value` from the config, or its own name
+    return this.getVersionNames()
+      .find(version => (config[`${version}Value`] || version) === headerValue) || null;
   }
 
   /**
@@ -105,7 +514,7 @@ class RoutingService {
   applyCookieRouting(req, config) {
     const cookieValue = req.cookies[config.cookieName];
     
-    if (cookieValue && ['blue', 'green'].includes(cookieValue)) {
+    if (cookieValue && this.isValidVersion(cookieValue)) {
       return cookieValue;
     }
     
@@ -121,42 +530,203 @@ class RoutingService {
   applyIpRouting(req, config) {
     const clientIp = this.getClientIp(req);
     
-    if (config.blueIps.includes(clientIp)) {
-      return 'blue';
-    } else if (config.greenIps.includes(clientIp)) {
-      return 'green';
+    // Each version is pinned through its `<version>Ips` list of addresses and CIDR blocks
+    return this.getVersionNames()
+      .find(version => ipMatchesList(clientIp, config[`${version}Ips`])) || null;
+  }
+
+  /**
+   * Apply geo routing: a version pinned to the client's country wins
+   * over one pinned to a region containing it
+   * @param {Object} req 
+   * @param {Object} config 
+   * @returns {Object} { version, reason, country, source }
+   */
+  applyGeoRouting(req, config) {
+    const { country, source } = this.getClientCountry(req, config);
+    
+    const countryVersion = country && config.countries?.[country];
+    if (countryVersion) {
+      return { version: countryVersion, reason: `geo-country-${country}`, country, source };
+    }
+    
+    const [regionName, region] = Object.entries(config.regions || {})
+      .find(([, { countries }]) => country && countries.includes(country)) || [];
+    if (region) {
+      return { version: region.version, reason: `geo-region-${regionName}`, country, source };
+    }
+    
+    return { version: null, reason: null, country, source };
+  }
+
+  /**
+   * Get the client's country from the configured header (set by a CDN
+   * or load balancer), falling back to the GeoIP database
+   * @param {Object} req 
+   * @param {Object} config - geo rule config
+   * @returns {Object} { country, source } with source 'header', 'database' or null
+   */
+  getClientCountry(req, config) {
+    const headerValue = config.countryHeader && req.headers[config.countryHeader.toLowerCase()];
+    const headerCountry = typeof headerValue === 'string' && headerValue.trim().toUpperCase();
+    
+    // CDNs send placeholders such as XX or T1 (Tor) for unknown locations
+    if (headerCountry && /^[A-Z]{2}$/.test(headerCountry) && headerCountry !== 'XX') {
+      return { country: headerCountry, source: 'header' };
+    }
+    
+    const databaseCountry = config.database && lookupCountry(config.database, this.getClientIp(req));
+    if (databaseCountry) {
+      return { country: databaseCountry, source: 'database' };
+    }
+    
+    return { country: null, source: null };
+  }
+
+  /**
+   * Load the geo rule's GeoIP database in the background. Lookups miss
+   * until it has loaded; a reload keeps serving the previous copy.
+   */
+  loadGeoDatabase() {
+    const { database } = this.routingConfig.geo || {};
+    
+    if (database) {
+      loadGeoIpDatabase(database);
+    }
+  }
+
+  /**
+   * Apply device/user-agent based routing: bots first, then the
+   * device type, then the browser family
+   * @param {Object} req 
+   * @param {Object} config 
+   * @returns {Object|null} { version, reason } of the matching class
+   */
+  applyDeviceRouting(req, config) {
+    const { isBot, deviceType, browser } = classifyUserAgent(req.headers['user-agent']);
+    
+    if (isBot && config.bots) {
+      return { version: config.bots, reason: 'device-bot' };
+    }
+    
+    const deviceVersion = config.deviceTypes?.[deviceType];
+    if (deviceVersion) {
+      return { version: deviceVersion, reason: `device-${deviceType}` };
+    }
+    
+    const browserVersion = config.browsers?.[browser];
+    if (browserVersion) {
+      return { version: browserVersion, reason: `device-browser-${browser}` };
     }
     
     return null;
   }
 
+  /**
+   * Find the expression rule that matches the request
+   * @param {Object} req 
+   * @param {Object} config 
+   * @param {Date} [now] - Time to evaluate time conditions at
+   * @returns {Object|null}
+   */
+  findExpressionMatch(req, config, now = new Date()) {
+    return this.ruleEngine.findMatch(config.rules, req, {
+      ip: this.getClientIp(req),
+      now
+    });
+  }
+
   /**
    * Apply percentage-based routing
    * @param {Object} req 
    * @param {Object} config 
-   * @returns {string}
+   * @param {Object} [options] - `simulate` skips counting the request towards the rollout,
+   *   `now` picks the scheduled split
+   * @returns {Object} { version, bucketingKey, bucket, split, scheduledSplit }
    */
-  applyPercentageRouting(req, config) {
-    // Use a combination of IP and User-Agent for consistent routing
-    const identifier = this.getClientIdentifier(req);
-    const hash = this.hashString(identifier);
+  applyPercentageRouting(req, config, options = {}) {
+    // Salting the key keeps assignments independent between experiments
+    const { salt } = config.bucketing;
+    const key = this.getBucketingKey(req, config.bucketing);
+    const hash = this.hashString(salt ? `${salt}:${key.value}` : key.value);
     const percentage = hash % 100;
     
-    return percentage < config.blue ? 'blue' : 'green';
+    // An active rollout plan or scheduled split takes over the static split
+    const split = this.getPercentageSplit(options.now);
+    if (!options.simulate) {
+      this.rolloutService.recordRequest();
+    }
+    
+    // Walk the versions in registration order, each owning a slice of 0-99
+    let threshold = 0;
+    let version = this.routingConfig.defaultVersion;
+    for (const name of this.getVersionNames()) {
+      threshold += split[name] || 0;
+      if (percentage < threshold) {
+        version = name;
+        break;
+      }
+    }
+    
+    return {
+      version,
+      bucketingKey: key.source,
+      bucket: percentage,
+      split,
+      scheduledSplit: this.rolloutService.getSplit() ? null : this.getScheduledSplit(options.now)?.name || null
+    };
+  }
+
+  /**
+   * Roll traffic back to the stable version when a version's metrics
+   * breach the configured autoRollback thresholds
+   * @param {string} version - Version the metrics belong to
+   * @param {Object} metrics - Windowed metrics from VersionMetrics
+   * @returns {Object|null} The rollback, if one was triggered
+   */
+  evaluateAutoRollback(version, metrics) {
+    const autoRollback = this.routingConfig.autoRollback;
+    
+    if (!autoRollback?.enabled || this.rolloutService.getRollback()) {
+      return null;
+    }
+    
+    if (version === autoRollback.stableVersion || metrics.requests < autoRollback.minRequests) {
+      return null;
+    }
+    
+    let reason = null;
+    if (metrics.errorRate > autoRollback.errorRateThreshold) {
+      reason = `error rate ${(metrics.errorRate * 100).toFixed(1)}% exceeded ` +
+               `${(autoRollback.errorRateThreshold * 100).toFixed(1)}%`;
+    } else if (metrics.p95Latency > autoRollback.latencyThresholdMs) {
+      reason = `p95 latency ${metrics.p95Latency}ms exceeded ${autoRollback.latencyThresholdMs}ms`;
+    }
+    
+    if (!reason) {
+      return null;
+    }
+    
+    return this.rolloutService.rollBack({
+      version,
+      stableVersion: autoRollback.stableVersion,
+      reason,
+      metrics
+    });
   }
 
   /**
-   * Get client IP address
+   * Get the normalized client IP address. `req.ip` only honours
+   * X-Forwarded-For from the proxies listed in TRUST_PROXY.
    * @param {Object} req 
    * @returns {string}
    */
   getClientIp(req) {
-    return req.ip || 
-           req.connection.remoteAddress || 
-           req.socket.remoteAddress ||
-           (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-           req.headers['x-forwarded-for']?.split(',')[0] ||
-           '127.0.0.1';
+    const ip = req.ip || 
+               req.connection?.remoteAddress || 
+               req.socket?.remoteAddress;
+    
+    return normalizeIp(ip) || '127.0.0.1';
   }
 
   /**
@@ -170,6 +740,56 @@ class RoutingService {
     return `${ip}-${userAgent}`;
   }
 
+  /**
+   * Pick the key a client is bucketed by: the first configured source
+   * the request carries (user ID header, anonymous ID cookie), falling
+   * back to the IP/User-Agent fingerprint
+   * @param {Object} req 
+   * @param {Object} bucketing - percentage.bucketing config
+   * @returns {Object} { source, value }
+   */
+  getBucketingKey(req, bucketing) {
+    for (const source of bucketing.keys) {
+      let value = null;
+      if (source === 'userId') {
+        value = req.headers[bucketing.userIdHeader.toLowerCase()];
+      } else if (source === 'anonymousId') {
+        value = req.cookies?.[bucketing.anonymousCookie];
+      }
+      
+      if (value) {
+        return { source, value: `${source}:${value}` };
+      }
+    }
+    
+    return { source: 'fingerprint', value: this.getClientIdentifier(req) };
+  }
+
+  /**
+   * Issue an anonymous ID cookie to clients that do not have one yet,
+   * so percentage routing can bucket them by it from the first request
+   * @param {Object} req 
+   * @param {Object} res 
+   */
+  ensureAnonymousId(req, res) {
+    const { enabled, bucketing } = this.routingConfig.percentage;
+    
+    if (!enabled || !bucketing.keys.includes('anonymousId') || req.cookies?.[bucketing.anonymousCookie]) {
+      return;
+    }
+    
+    const anonymousId = crypto.randomUUID();
+    res.cookie(bucketing.anonymousCookie, anonymousId, {
+      maxAge: bucketing.anonymousCookieMaxAge,
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax'
+    });
+    
+    // Make the new ID visible to the routing of this request
+    req.cookies = { ...req.cookies, [bucketing.anonymousCookie]: anonymousId };
+  }
+
   /**
    * Hash a string to a number for consistent percentage routing
    * @param {string} str 
@@ -181,7 +801,7 @@ class RoutingService {
   }
 
   /**
-   * Set sticky session cookie
+   * Set the signed sticky session cookie
    * @param {Object} res 
    * @param {string} version 
    */
@@ -193,7 +813,7 @@ class RoutingService {
     const { cookieName } = this.routingConfig.stickySession;
     const maxAge = this.routingConfig.cookie.maxAge || 86400000; // 24 hours default
     
-    res.cookie(cookieName, version, {
+    res.cookie(cookieName, createStickyValue(version, this.getConfigRevision()), {
       maxAge,
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
@@ -210,12 +830,90 @@ class RoutingService {
       enabledRules: Object.keys(this.routingConfig)
         .filter(key => this.routingConfig[key]?.enabled),
       priority: this.routingConfig.priority,
-      percentageSplit: {
-        blue: this.routingConfig.percentage.blue,
-        green: this.routingConfig.percentage.green
+      defaultVersion: this.routingConfig.defaultVersion,
+      percentageSplit: this.getPercentageSplit(),
+      rollout: this.rolloutService.getStatus(),
+      rollback: this.rolloutService.getRollback(),
+      cutover: this.cutoverService.getStatus(),
+      killSwitch: this.killSwitchService.getStatus(),
+      shadow: this.routingConfig.shadow,
+      geoDatabase: this.routingConfig.geo?.database ? getGeoIpStatus(this.routingConfig.geo.database) : null,
+      schedules: this.getSchedules()
+    };
+  }
+
+  /**
+   * List the schedules of enabled rules, expression rules and splits that
+   * are active now or will switch on next
+   * @param {Date} [now] 
+   * @returns {Object} { active, upcoming }, each entry with its next change
+   */
+  getSchedules(now = new Date()) {
+    const entries = [];
+    
+    for (const name of this.routingConfig.priority) {
+      const rule = this.routingConfig[name];
+      if (!rule?.enabled) continue;
+      
+      if (rule.schedule) {
+        entries.push({ kind: 'rule', name, schedule: rule.schedule });
+      }
+      for (const expression of name === 'expression' ? rule.rules || [] : []) {
+        if (expression.schedule && expression.enabled !== false) {
+          entries.push({
+            kind: 'expression',
+            name: expression.name,
+            version: expression.version,
+            schedule: expression.schedule
+          });
+        }
       }
+      for (const entry of name === 'percentage' ? rule.scheduledSplits || [] : []) {
+        entries.push({ kind: 'split', name: entry.name, split: entry.split, schedule: entry.schedule });
+      }
+    }
+    
+    const described = entries.map(entry => ({
+      ...entry,
+      active: isScheduleActive(entry.schedule, now),
+      nextChange: getNextScheduleChange(entry.schedule, now)
+    }));
+    
+    return {
+      active: described.filter(entry => entry.active),
+      upcoming: described
+        .filter(entry => !entry.active && entry.nextChange?.active)
+        .sort((a, b) => a.nextChange.at.localeCompare(b.nextChange.at))
     };
   }
+
+  /**
+   * Get the first scheduled split whose schedule is active
+   * @param {Date} [now] 
+   * @returns {Object|null} { name, split, schedule }
+   */
+  getScheduledSplit(now = new Date()) {
+    return (this.routingConfig.percentage.scheduledSplits || [])
+      .find(entry => isScheduleActive(entry.schedule, now)) || null;
+  }
+
+  /**
+   * Get the effective percentage for every registered version: the
+   * rollout plan when one is active, then an active scheduled split,
+   * then the static split
+   * @param {Date} [now] 
+   * @returns {Object}
+   */
+  getPercentageSplit(now = new Date()) {
+    const split = this.rolloutService.getSplit() ||
+      this.getScheduledSplit(now)?.split ||
+      this.routingConfig.percentage;
+    
+    return this.getVersionNames().reduce((result, version) => {
+      result[version] = split[version] || 0;
+      return result;
+    }, {});
+  }
 }
 
 export default RoutingService;
\ No newline at end of file
@@ -0,0 +1,300 @@
+import { getRoutingRules } from '../config/index.js';
+import { validateRoutingRules } from '../config/validateRoutingRules.js';
+import { diffObjects } from '../utils/helpers.js';
+import { buildSimulatedRequest, validateSimulatedRequest } from '../utils/simulatedRequest.js';
+import { createStickyValue } from '../utils/stickyCookies.js';
+import RoutingService from './RoutingService.js';
+
+const MAX_REQUESTS = 50000;
+
+const DEFAULT_USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  'Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so populations are reproducible
+ * @param {number} seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a random unicast IPv4 address
+ * @param {Function} random
+ * @returns {string}
+ */
+const randomIpv4 = (random) => {
+  const first = 1 + Math.floor(random() * 223);
+  const rest = Array.from({ length: 3 }, () => Math.floor(random() * 256));
+  return [first, ...rest].join('.');
+};
+
+class RoutingSimulator {
+  /**
+   * @param {RoutingService} currentRouter - Router for the configuration in effect
+   */
+  constructor(currentRouter) {
+    this.currentRouter = currentRouter;
+  }
+
+  /**
+   * Route the same requests through the current and a candidate configuration
+   * @param {Object} candidateRules - Candidate routing rules document
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.requests] - Sample requests ({ ip, headers, cookies, query })
+   * @param {Object} [options.population] - Synthetic population, used when no sample is given
+   * @returns {Object} Version distributions and the clients that would move
+   * @throws {Error} With status 400 and an `errors` list when the input is invalid
+   */
+  simulate(candidateRules, { requests, population } = {}) {
+    const errors = [...validateRoutingRules(candidateRules), ...this.validateInput({ requests, population })];
+    if (errors.length > 0) {
+      const error = new Error(`Invalid simulation: ${errors.join('; ')}`);
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const candidateRouter = this.createCandidateRouter(candidateRules);
+    const samples = requests
+      ? requests.map(buildSimulatedRequest)
+      : this.generatePopulation(population || {}, candidateRouter);
+
+    const current = { distribution: {}, reasons: {} };
+    const candidate = { distribution: {}, reasons: {} };
+    const transitions = {};
+    let moved = 0;
+    let stickyUsers = 0;
+    let stickyMoved = 0;
+    let stickyReassigned = 0;
+
+    for (const req of samples) {
+      const before = this.currentRouter.determineVersion(req, { simulate: true });
+      const after = candidateRouter.determineVersion(req, { simulate: true });
+
+      this.tally(current, before);
+      this.tally(candidate, after);
+
+      if (before.version !== after.version) {
+        moved++;
+        const transition = `${before.version}->${after.version}`;
+        transitions[transition] = (transitions[transition] || 0) + 1;
+      }
+
+      if (before.reason === 'sticky-session') {
+        stickyUsers++;
+        if (before.version !== after.version) stickyMoved++;
+        if (after.reason !== 'sticky-session') stickyReassigned++;
+      }
+    }
+
+    const total = samples.length;
+    return {
+      requests: total,
+      source: requests ? 'sample' : 'population',
+      current: this.summarize(current, total, this.currentRouter),
+      candidate: this.summarize(candidate, total, candidateRouter),
+      changes: {
+        moved,
+        movedPercentage: total > 0 ? ((moved / total) * 100).toFixed(2) : 0,
+        transitions,
+        stickyUsers,
+        stickyMoved,
+        stickyReassigned
+      }
+    };
+  }
+
+  /**
+   * Build a detached router for the candidate rules. It inherits the live
+   * rollback, cutover and kill switch, and the live rollout plan when the plan definition
+   * is unchanged, exactly as applying the rules would.
+   * @param {Object} rules
+   * @returns {RoutingService}
+   */
+  createCandidateRouter(rules) {
+    // Applying changed rules records a new config revision
+    const revision = this.currentRouter.getConfigRevision();
+    const changed = diffObjects(getRoutingRules(), rules).length > 0;
+    const router = new RoutingService({ rules, getConfigRevision: () => (changed ? revision + 1 : revision) });
+    const current = this.currentRouter.rolloutService.snapshot();
+    const rolloutUnchanged = JSON.stringify(router.routingConfig.percentage.rollout) ===
+      JSON.stringify(this.currentRouter.routingConfig.percentage.rollout);
+
+    router.rolloutService.restore({
+      plan: rolloutUnchanged ? current.plan : router.rolloutService.snapshot().plan,
+      rollback: current.rollback
+    });
+    router.cutoverService.restore(this.currentRouter.cutoverService.snapshot());
+    router.killSwitchService.restore(this.currentRouter.killSwitchService.snapshot());
+
+    return router;
+  }
+
+  /**
+   * Generate a synthetic client population
+   * @param {Object} population
+   * @param {number} [population.size] - Number of clients (default 1000)
+   * @param {number} [population.seed] - Seed for reproducible populations (default 1)
+   * @param {Array<string>} [population.userAgents] - User agents to pick from
+   * @param {Array<string>} [population.ips] - Addresses to pick from (default: random IPv4)
+   * @param {Object} [population.headers] - Header name -> values to pick from (null omits it)
+   * @param {Object} [population.cookies] - Cookie name -> values to pick from (null omits it)
+   * @param {boolean} [population.anonymousIds] - Give clients an anonymous ID cookie (default true)
+   * @param {boolean} [population.sticky] - Give clients the sticky cookie the current
+   *   configuration would have issued (default true)
+   * @param {RoutingService} candidateRouter
+   * @returns {Array<Object>} Simulated requests
+   */
+  generatePopulation({
+    size = 1000,
+    seed = 1,
+    userAgents = DEFAULT_USER_AGENTS,
+    ips = null,
+    headers = {},
+    cookies = {},
+    anonymousIds = true,
+    sticky = true
+  }, candidateRouter) {
+    const random = createRandom(seed);
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    const pickEach = (choices) => Object.entries(choices).reduce((result, [name, values]) => {
+      const value = pick(values);
+      if (value !== null) result[name] = value;
+      return result;
+    }, {});
+
+    const anonymousCookies = new Set([
+      this.currentRouter.routingConfig.percentage.bucketing.anonymousCookie,
+      candidateRouter.routingConfig.percentage.bucketing.anonymousCookie
+    ]);
+    const { stickySession } = this.currentRouter.routingConfig;
+
+    return Array.from({ length: size }, () => {
+      const req = buildSimulatedRequest({
+        ip: ips ? pick(ips) : randomIpv4(random),
+        headers: { 'User-Agent': pick(userAgents), ...pickEach(headers) },
+        cookies: pickEach(cookies)
+      });
+
+      if (anonymousIds) {
+        const anonymousId = Array.from({ length: 4 }, () => Math.floor(random() * 0x100000000).toString(16)).join('');
+        for (const name of anonymousCookies) {
+          req.cookies[name] = anonymousId;
+        }
+      }
+
+      if (sticky && stickySession.enabled) {
+        const { version } = this.currentRouter.determineVersion(req, { simulate: true });
+        req.cookies[stickySession.cookieName] = createStickyValue(version, this.currentRouter.getConfigRevision());
+      }
+
+      return req;
+    });
+  }
+
+  /**
+   * Count one routing decision
+   * @param {Object} summary - { distribution, reasons } counters
+   * @param {Object} decision - Result of determineVersion
+   */
+  tally(summary, { version, reason }) {
+    summary.distribution[version] = (summary.distribution[version] || 0) + 1;
+    summary.reasons[reason] = (summary.reasons[reason] || 0) + 1;
+  }
+
+  /**
+   * Turn counters into a distribution over every registered version
+   * @param {Object} summary
+   * @param {number} total
+   * @param {RoutingService} router
+   * @returns {Object}
+   */
+  summarize(summary, total, router) {
+    const distribution = {};
+    for (const version of router.getVersionNames()) {
+      const count = summary.distribution[version] || 0;
+      distribution[version] = {
+        count,
+        percentage: total > 0 ? ((count / total) * 100).toFixed(2) : 0
+      };
+    }
+
+    return {
+      distribution,
+      reasons: summary.reasons,
+      percentageSplit: router.getPercentageSplit()
+    };
+  }
+
+  /**
+   * Validate the sample or population description
+   * @param {Object} input - { requests, population }
+   * @returns {Array<string>} Validation errors
+   */
+  validateInput({ requests, population }) {
+    if (requests !== undefined) {
+      if (!Array.isArray(requests) || requests.length === 0 || requests.length > MAX_REQUESTS) {
+        return [`requests must be an array of 1 to ${MAX_REQUESTS} requests`];
+      }
+      return requests.flatMap((request, i) =>
+        validateSimulatedRequest(request).map(error => `requests[${i}]: ${error}`));
+    }
+
+    if (population === undefined) {
+      return [];
+    }
+    if (!isObject(population)) {
+      return ['population must be an object'];
+    }
+
+    const errors = [];
+    const { size, seed, userAgents, ips, headers, cookies } = population;
+
+    if (size !== undefined && (!Number.isInteger(size) || size < 1 || size > MAX_REQUESTS)) {
+      errors.push(`population.size must be an integer between 1 and ${MAX_REQUESTS}`);
+    }
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      errors.push('population.seed must be an integer');
+    }
+    for (const [field, list] of [['userAgents', userAgents], ['ips', ips]]) {
+      if (list !== undefined && (!Array.isArray(list) || list.length === 0 ||
+                                 list.some(entry => typeof entry !== 'string'))) {
+        errors.push(`population.${field} must be a non-empty array of strings`);
+      }
+    }
+    for (const [field, choices] of [['headers', headers], ['cookies', cookies]]) {
+      if (choices === undefined) continue;
+      if (!isObject(choices) || Object.values(choices).some(values => !Array.isArray(values) || values.length === 0)) {
+        errors.push(`population.${field} must map each name to a non-empty array of values`);
+      }
+    }
+    for (const field of ['anonymousIds', 'sticky']) {
+      if (population[field] !== undefined && typeof population[field] !== 'boolean') {
+        errors.push(`population.${field} must be a boolean`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+export default RoutingSimulator;
@@ -0,0 +1,223 @@
+import { ipMatchesList, isValidIpOrCidr } from '../utils/ipUtils.js';
+import { isScheduleActive, matchesTimeWindow, validateTimeWindow } from '../utils/timeWindows.js';
+
+const VALUE_SOURCES = ['header', 'cookie', 'query', 'userAgent'];
+const VALUE_OPERATORS = ['equals', 'in', 'matches', 'contains', 'exists'];
+
+class RuleEngine {
+  constructor() {
+    this.regexCache = new Map();
+  }
+
+  /**
+   * Find the first expression rule whose condition matches the request.
+   * Rules with a schedule only take part while it is active.
+   * @param {Array<Object>} rules - Ordered { name, version, when, schedule } rules
+   * @param {Object} req - Express request object
+   * @param {Object} context - { ip, now }
+   * @returns {Object|null} The matching rule
+   */
+  findMatch(rules = [], req, context) {
+    return rules.find(rule => rule.enabled !== false &&
+      (!rule.schedule || isScheduleActive(rule.schedule, context.now || new Date())) &&
+      this.evaluate(rule.when, req, context)) || null;
+  }
+
+  /**
+   * Evaluate a condition tree against a request
+   * @param {Object} condition
+   * @param {Object} req - Express request object
+   * @param {Object} context - { ip, now }
+   * @returns {boolean}
+   */
+  evaluate(condition, req, context) {
+    if (condition.all) {
+      return condition.all.every(child => this.evaluate(child, req, context));
+    }
+    if (condition.any) {
+      return condition.any.some(child => this.evaluate(child, req, context));
+    }
+    if (condition.not) {
+      return !this.evaluate(condition.not, req, context);
+    }
+    if (condition.ip) {
+      return ipMatchesList(context.ip, condition.ip.in);
+    }
+    if (condition.time) {
+      return this.matchesTime(condition.time, context.now || new Date());
+    }
+
+    const source = VALUE_SOURCES.find(key => condition[key]);
+    return this.matchesValue(this.readValue(source, condition[source], req), condition[source]);
+  }
+
+  /**
+   * Read the request value a leaf condition refers to
+   * @param {string} source - header, cookie, query or userAgent
+   * @param {Object} leaf
+   * @param {Object} req
+   * @returns {string|undefined}
+   */
+  readValue(source, leaf, req) {
+    switch (source) {
+      case 'header':
+        return req.headers?.[leaf.name.toLowerCase()];
+      case 'cookie':
+        return req.cookies?.[leaf.name];
+      case 'query':
+        return req.query?.[leaf.name];
+      case 'userAgent':
+        return req.headers?.['user-agent'];
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Apply a leaf operator to a request value
+   * @param {string|undefined} value
+   * @param {Object} leaf
+   * @returns {boolean}
+   */
+  matchesValue(value, leaf) {
+    if (leaf.exists !== undefined) {
+      return (value !== undefined) === leaf.exists;
+    }
+    if (value === undefined) {
+      return false;
+    }
+
+    const normalize = (input) => (leaf.ignoreCase ? String(input).toLowerCase() : String(input));
+    const actual = normalize(value);
+
+    if (leaf.equals !== undefined) {
+      return actual === normalize(leaf.equals);
+    }
+    if (leaf.in !== undefined) {
+      return leaf.in.map(normalize).includes(actual);
+    }
+    if (leaf.contains !== undefined) {
+      return actual.includes(normalize(leaf.contains));
+    }
+    if (leaf.matches !== undefined) {
+      return this.getRegex(leaf.matches, leaf.ignoreCase).test(String(value));
+    }
+
+    return false;
+  }
+
+  /**
+   * Check a time condition: weekdays, a daily window and absolute bounds
+   * @param {Object} time - { days, from, to, after, before, timezone }
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  matchesTime(time, now) {
+    return matchesTimeWindow(time, now);
+  }
+
+  /**
+   * Compile and cache a regular expression
+   * @param {string} pattern
+   * @param {boolean} ignoreCase
+   * @returns {RegExp}
+   */
+  getRegex(pattern, ignoreCase) {
+    const key = `${ignoreCase ? 'i' : ''}/${pattern}`;
+    if (!this.regexCache.has(key)) {
+      this.regexCache.set(key, new RegExp(pattern, ignoreCase ? 'i' : ''));
+    }
+    return this.regexCache.get(key);
+  }
+
+  /**
+   * Validate a condition tree
+   * @param {Object} condition
+   * @param {string} path - Location used in error messages
+   * @returns {Array<string>} Validation errors
+   */
+  validate(condition, path = 'when') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [`${path} must be a condition object`];
+    }
+
+    const keys = Object.keys(condition);
+    if (keys.length !== 1) {
+      return [`${path} must have exactly one of: all, any, not, ip, time, ${VALUE_SOURCES.join(', ')}`];
+    }
+
+    const [key] = keys;
+    const value = condition[key];
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        return [`${path}.${key} must be a non-empty array of conditions`];
+      }
+      return value.flatMap((child, i) => this.validate(child, `${path}.${key}[${i}]`));
+    }
+    if (key === 'not') {
+      return this.validate(value, `${path}.not`);
+    }
+    if (key === 'ip') {
+      if (!Array.isArray(value?.in) || value.in.length === 0) {
+        return [`${path}.ip.in must be a non-empty array of addresses or CIDR blocks`];
+      }
+      return value.in
+        .filter(entry => !isValidIpOrCidr(entry))
+        .map(entry => `${path}.ip.in contains an invalid address or CIDR block: ${entry}`);
+    }
+    if (key === 'time') {
+      return this.validateTime(value, `${path}.time`);
+    }
+    if (VALUE_SOURCES.includes(key)) {
+      return this.validateLeaf(key, value, `${path}.${key}`);
+    }
+
+    return [`${path}.${key} is not a known condition`];
+  }
+
+  /**
+   * Validate a header/cookie/query/userAgent leaf
+   * @param {string} source
+   * @param {Object} leaf
+   * @param {string} path
+   * @returns {Array<string>}
+   */
+  validateLeaf(source, leaf, path) {
+    const errors = [];
+
+    if (!leaf || typeof leaf !== 'object') {
+      return [`${path} must be an object`];
+    }
+    if (source !== 'userAgent' && typeof leaf.name !== 'string') {
+      errors.push(`${path}.name must be a string`);
+    }
+
+    const operators = VALUE_OPERATORS.filter(operator => leaf[operator] !== undefined);
+    if (operators.length !== 1) {
+      errors.push(`${path} must use exactly one of: ${VALUE_OPERATORS.join(', ')}`);
+    } else if (operators[0] === 'in' && !Array.isArray(leaf.in)) {
+      errors.push(`${path}.in must be an array`);
+    } else if (operators[0] === 'matches') {
+      try {
+        new RegExp(leaf.matches);
+      } catch (error) {
+        errors.push(`${path}.matches is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a time condition
+   * @param {Object} time
+   * @param {string} path
+   * @returns {Array<string>}
+   */
+  validateTime(time, path) {
+    return validateTimeWindow(time, path);
+  }
+}
+
+export default RuleEngine;
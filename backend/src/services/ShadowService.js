@@ -0,0 +1,211 @@
+import config from '../config/index.js';
+import { diffObjects } from '../utils/helpers.js';
+import VersionMetrics from './VersionMetrics.js';
+
+// Fields that differ between versions by design
+const IGNORED_FIELDS = ['version', 'loadedAt', 'plans'];
+
+class ShadowService {
+  /**
+   * @param {PricingModel} pricingModel - Model used to run the candidate pipeline
+   */
+  constructor(pricingModel) {
+    this.pricingModel = pricingModel;
+    // Latency per candidate plan, keyed `<version>:<plan id>`
+    this.metrics = new VersionMetrics(() => this.shadowConfig.windowMs);
+    this.results = new Map();
+  }
+
+  /**
+   * The live shadow configuration
+   * @returns {Object}
+   */
+  get shadowConfig() {
+    return config.routing.shadow;
+  }
+
+  /**
+   * Run the candidate pipeline in the background for a request served
+   * from the stable version. Never throws and is not awaited by callers.
+   * @param {string} servedVersion - Version the user received
+   * @param {Object} servedData - Pricing data the user received
+   * @returns {Promise<void>|null} The background evaluation, if one was started
+   */
+  observe(servedVersion, servedData) {
+    const { enabled, stableVersion, candidateVersion, sampleRate } = this.shadowConfig;
+
+    if (!enabled || servedVersion !== stableVersion || Math.random() >= sampleRate) {
+      return null;
+    }
+
+    return this.evaluate(candidateVersion, servedData).catch(error => {
+      console.error(`[SHADOW] Evaluation of ${candidateVersion} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Load the candidate's pricing data through the same cached pipeline as
+   * served requests, validate it and compare it with the served data. When
+   * the pipeline keeps a last good copy because the stored document is
+   * broken, the rejected change counts as a validation failure.
+   * @param {string} version - Candidate version
+   * @param {Object} baseline - Pricing data served from the stable version
+   */
+  async evaluate(version, baseline) {
+    const result = this.getResult(version);
+    const startTime = Date.now();
+    let candidate;
+    let rejected;
+    let valid;
+
+    result.evaluations++;
+    result.lastEvaluatedAt = new Date().toISOString();
+
+    try {
+      candidate = await this.pricingModel.getPricingData(version);
+      rejected = this.pricingModel.getRejectedChange(version);
+      valid = !rejected && this.pricingModel.validatePricingData(candidate);
+    } catch (error) {
+      for (const plan of baseline.plans || []) {
+        this.metrics.record(`${version}:${plan.id}`, { latency: Date.now() - startTime, error: true });
+      }
+      result.errors++;
+      result.lastError = { message: error.message, at: new Date().toISOString() };
+      return;
+    }
+
+    const loadLatency = Date.now() - startTime;
+    result.lastRejectedChange = rejected;
+
+    if (!valid) {
+      result.validationFailures++;
+    }
+
+    const documentChanges = diffObjects(this.withoutIgnoredFields(baseline), this.withoutIgnoredFields(candidate));
+    result.document.lastDifferences = documentChanges;
+
+    let differing = documentChanges.length > 0;
+    for (const { latency, ...change } of this.comparePlans(baseline, candidate, valid)) {
+      this.metrics.record(`${version}:${change.id}`, { latency: loadLatency + latency, error: change.invalid });
+      if (!result.plans[change.id]) {
+        result.plans[change.id] = {
+          evaluations: 0,
+          differing: 0,
+          validationFailures: 0,
+          missingInCandidate: 0,
+          addedInCandidate: 0,
+          lastDifferences: []
+        };
+      }
+
+      const plan = result.plans[change.id];
+      plan.evaluations++;
+      plan.lastDifferences = change.differences;
+      if (change.differences.length > 0) plan.differing++;
+      if (change.invalid) plan.validationFailures++;
+      if (change.missing) plan.missingInCandidate++;
+      if (change.added) plan.addedInCandidate++;
+      if (change.differences.length > 0 || change.missing || change.added) {
+        differing = true;
+      }
+    }
+
+    if (differing) {
+      result.differing++;
+    }
+  }
+
+  /**
+   * Compare the plans of two pricing documents by plan id
+   * @param {Object} baseline
+   * @param {Object} candidate
+   * @param {boolean} valid - Whether the candidate document passed validation
+   * @returns {Array<Object>} { id, differences, invalid, missing, added, latency } per plan;
+   *   latency is the time spent comparing and validating the plan
+   */
+  comparePlans(baseline, candidate, valid) {
+    const baselinePlans = new Map((baseline.plans || []).map(plan => [plan.id, plan]));
+    const candidatePlans = new Map((Array.isArray(candidate.plans) ? candidate.plans : []).map(plan => [plan.id, plan]));
+    const ids = new Set([...baselinePlans.keys(), ...candidatePlans.keys()]);
+
+    return [...ids].map(id => {
+      const startTime = Date.now();
+      const before = baselinePlans.get(id);
+      const after = candidatePlans.get(id);
+
+      return {
+        id: id ?? 'unknown',
+        differences: before && after ? diffObjects(before, after) : [],
+        // Attribute a failed validation to the plans that fail on their own
+        invalid: Boolean(after) && !valid &&
+          !this.pricingModel.validatePricingData({ ...candidate, plans: [after] }),
+        missing: !after,
+        added: !before,
+        latency: Date.now() - startTime
+      };
+    });
+  }
+
+  /**
+   * Drop fields that are expected to differ
+   * @param {Object} data
+   * @returns {Object}
+   */
+  withoutIgnoredFields(data) {
+    return Object.fromEntries(Object.entries(data || {}).filter(([key]) => !IGNORED_FIELDS.includes(key)));
+  }
+
+  /**
+   * Get the running result for a candidate version
+   * @param {string} version
+   * @returns {Object}
+   */
+  getResult(version) {
+    if (!this.results.has(version)) {
+      this.results.set(version, {
+        evaluations: 0,
+        differing: 0,
+        validationFailures: 0,
+        errors: 0,
+        lastError: null,
+        lastRejectedChange: null,
+        lastEvaluatedAt: null,
+        document: { lastDifferences: [] },
+        plans: {}
+      });
+    }
+    return this.results.get(version);
+  }
+
+  /**
+   * Get the shadow configuration and results for every candidate evaluated,
+   * with the windowed latency of each plan
+   * @returns {Object}
+   */
+  getReport() {
+    const candidates = {};
+    for (const [version, result] of this.results) {
+      const plans = {};
+      for (const [id, plan] of Object.entries(result.plans)) {
+        const { avgLatency, p95Latency } = this.metrics.getMetrics(`${version}:${id}`);
+        plans[id] = { ...plan, latency: { avgLatency, p95Latency } };
+      }
+      candidates[version] = { ...result, plans };
+    }
+
+    return {
+      ...this.shadowConfig,
+      candidates
+    };
+  }
+
+  /**
+   * Clear all recorded results
+   */
+  reset() {
+    this.results.clear();
+    this.metrics.reset();
+  }
+}
+
+export default ShadowService;
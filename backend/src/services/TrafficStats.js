@@ -0,0 +1,82 @@
+import VersionMetrics from './VersionMetrics.js';
+
+// How stale the p95 latency checked for automatic rollback on each request may be
+const ROLLBACK_LATENCY_MAX_AGE_MS = 1000;
+
+class TrafficStats {
+  /**
+   * @param {RoutingService} routingService - Router that reacts to outcomes with automatic rollback
+   * @param {PricingModel} pricingModel - Model listing the registered versions
+   */
+  constructor(routingService, pricingModel) {
+    this.routingService = routingService;
+    this.pricingModel = pricingModel;
+    // Read on every evaluation, so a reloaded rollback window applies right away
+    this.versionMetrics = new VersionMetrics(() => routingService.routingConfig.autoRollback.windowMs);
+    this.requestCount = new Map();
+    this.versionStats = this.createVersionStats();
+  }
+
+  /**
+   * Create an empty request counter for every registered version
+   * @returns {Object}
+   */
+  createVersionStats() {
+    return this.pricingModel.getAvailableVersions().reduce((stats, version) => {
+      stats[version] = 0;
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Count a request served by a version
+   * @param {string} version
+   * @param {Object} req - Express request object
+   */
+  recordRequest(version, req) {
+    this.versionStats[version] = (this.versionStats[version] || 0) + 1;
+
+    const clientIp = this.routingService.getClientIp(req);
+    this.requestCount.set(clientIp, (this.requestCount.get(clientIp) || 0) + 1);
+  }
+
+  /**
+   * Record a request outcome and let the router react to it
+   * @param {string} version
+   * @param {number} startTime
+   * @param {boolean} error
+   */
+  recordOutcome(version, startTime, error) {
+    this.versionMetrics.record(version, { latency: Date.now() - startTime, error });
+    this.routingService.evaluateAutoRollback(version,
+      this.versionMetrics.getMetrics(version, { maxLatencyAgeMs: ROLLBACK_LATENCY_MAX_AGE_MS }));
+  }
+
+  /**
+   * Summarise request counts per version
+   * @returns {Object} { totalRequests, versionDistribution, uniqueClients }
+   */
+  getSummary() {
+    const totalRequests = Object.values(this.versionStats).reduce((sum, count) => sum + count, 0);
+    const versionDistribution = {};
+
+    for (const [version, count] of Object.entries(this.versionStats)) {
+      versionDistribution[version] = {
+        count,
+        percentage: totalRequests > 0 ? ((count / totalRequests) * 100).toFixed(2) : 0
+      };
+    }
+
+    return { totalRequests, versionDistribution, uniqueClients: this.requestCount.size };
+  }
+
+  /**
+   * Reset request counts. Rollback metrics keep their own window.
+   */
+  reset() {
+    this.versionStats = this.createVersionStats();
+    this.requestCount.clear();
+  }
+}
+
+export default TrafficStats;
@@ -0,0 +1,179 @@
+import http from 'http';
+import https from 'https';
+import config from '../config/index.js';
+import { logInfo } from '../utils/log.js';
+
+class UpstreamHealthService {
+  constructor() {
+    this.state = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * The live proxy configuration
+   * @returns {Object}
+   */
+  get proxyConfig() {
+    return config.routing.proxy;
+  }
+
+  /**
+   * Start probing upstreams periodically. Settings are re-read before
+   * every round, so reloads apply without a restart.
+   */
+  start() {
+    const schedule = () => {
+      this.timer = setTimeout(async () => {
+        const { enabled, healthCheck } = this.proxyConfig;
+        if (enabled && healthCheck.enabled) {
+          await this.checkAll();
+        }
+        schedule();
+      }, this.proxyConfig.healthCheck.intervalMs);
+      this.timer.unref();
+    };
+
+    schedule();
+  }
+
+  /**
+   * Stop probing
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe every version that has an upstream
+   * @returns {Promise<Object>} Status by version
+   */
+  async checkAll() {
+    await Promise.all(config.versions
+      .filter(({ upstream }) => upstream)
+      .map(async ({ name, upstream }) => {
+        const result = await this.probe(upstream);
+        if (result.ok) {
+          this.recordSuccess(name, result.latencyMs);
+        } else {
+          this.recordFailure(name, result.error);
+        }
+      }));
+
+    return this.getStatus();
+  }
+
+  /**
+   * Request an upstream's health path
+   * @param {string} upstream - Upstream base URL
+   * @returns {Promise<Object>} { ok, latencyMs, error }
+   */
+  probe(upstream) {
+    const { path, timeoutMs } = this.proxyConfig.healthCheck;
+    const url = new URL(upstream);
+    url.pathname = `${url.pathname.replace(/\/$/, '')}${path}`;
+    const startTime = Date.now();
+
+    return new Promise(resolve => {
+      const request = (url.protocol === 'https:' ? https : http).get(url, response => {
+        response.resume();
+        const ok = response.statusCode < 400;
+        resolve({
+          ok,
+          latencyMs: Date.now() - startTime,
+          error: ok ? null : `Health check returned ${response.statusCode}`
+        });
+      });
+
+      request.setTimeout(timeoutMs, () => {
+        request.destroy(new Error(`Health check timed out after ${timeoutMs}ms`));
+      });
+      request.on('error', error => {
+        resolve({ ok: false, latencyMs: Date.now() - startTime, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Get the state entry for a version, resetting it when its upstream changed
+   * @param {string} version
+   * @returns {Object}
+   */
+  getEntry(version) {
+    const upstream = config.versions.find(({ name }) => name === version)?.upstream || null;
+    const entry = this.state.get(version);
+
+    if (!entry || entry.upstream !== upstream) {
+      this.state.set(version, {
+        upstream,
+        healthy: true,
+        consecutiveFailures: 0,
+        lastCheckedAt: null,
+        lastError: null,
+        latencyMs: null
+      });
+    }
+
+    return this.state.get(version);
+  }
+
+  /**
+   * Record a successful probe or proxied response
+   * @param {string} version
+   * @param {number} [latencyMs]
+   */
+  recordSuccess(version, latencyMs = null) {
+    const entry = this.getEntry(version);
+
+    if (!entry.healthy) {
+      logInfo(`[UPSTREAM] ${version} (${entry.upstream}) is healthy again`);
+    }
+
+    entry.healthy = true;
+    entry.consecutiveFailures = 0;
+    entry.lastCheckedAt = new Date().toISOString();
+    entry.lastError = null;
+    if (latencyMs !== null) entry.latencyMs = latencyMs;
+  }
+
+  /**
+   * Record a failed probe or connection failure
+   * @param {string} version
+   * @param {string} error
+   */
+  recordFailure(version, error) {
+    const entry = this.getEntry(version);
+
+    entry.consecutiveFailures++;
+    entry.lastCheckedAt = new Date().toISOString();
+    entry.lastError = error;
+
+    if (entry.healthy && entry.consecutiveFailures >= this.proxyConfig.healthCheck.unhealthyThreshold) {
+      entry.healthy = false;
+      console.error(`[UPSTREAM] ${version} (${entry.upstream}) marked unhealthy: ${error}`);
+    }
+  }
+
+  /**
+   * Whether a version has an upstream that is not known to be down
+   * @param {string} version
+   * @returns {boolean}
+   */
+  isHealthy(version) {
+    const entry = this.getEntry(version);
+    return Boolean(entry.upstream) && entry.healthy;
+  }
+
+  /**
+   * Get the health of every version's upstream
+   * @returns {Object}
+   */
+  getStatus() {
+    return config.versions.reduce((status, { name }) => {
+      status[name] = { ...this.getEntry(name) };
+      return status;
+    }, {});
+  }
+}
+
+export default UpstreamHealthService;
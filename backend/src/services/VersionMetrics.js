@@ -0,0 +1,117 @@
+class VersionMetrics {
+  /**
+   * @param {number|Function} [windowMs] - Window length in ms, or a function
+   *   returning it, so a reloaded setting applies without a restart
+   */
+  constructor(windowMs = 60000) {
+    this.getWindowMs = typeof windowMs === 'function' ? windowMs : () => windowMs;
+    // Per version: samples in arrival order, with running totals kept in step
+    this.windows = new Map();
+  }
+
+  /**
+   * Get the window of a version, creating it when first seen
+   * @param {string} version
+   * @returns {Object} { samples, errors, latencySum, p95 }
+   */
+  getWindow(version) {
+    if (!this.windows.has(version)) {
+      this.windows.set(version, { samples: [], errors: 0, latencySum: 0, p95: null });
+    }
+    return this.windows.get(version);
+  }
+
+  /**
+   * Record the outcome of a request served by a version
+   * @param {string} version
+   * @param {Object} sample
+   * @param {number} sample.latency - Response time in ms
+   * @param {boolean} sample.error - Whether the request failed
+   */
+  record(version, { latency, error }) {
+    const window = this.getWindow(version);
+
+    window.samples.push({ timestamp: Date.now(), latency, error });
+    window.errors += error ? 1 : 0;
+    window.latencySum += latency;
+    this.prune(version);
+  }
+
+  /**
+   * Drop samples that fell out of the window
+   * @param {string} version
+   */
+  prune(version) {
+    const window = this.windows.get(version);
+    if (!window) {
+      return;
+    }
+
+    const cutoff = Date.now() - this.getWindowMs();
+    let expired = 0;
+    while (expired < window.samples.length && window.samples[expired].timestamp < cutoff) {
+      window.errors -= window.samples[expired].error ? 1 : 0;
+      window.latencySum -= window.samples[expired].latency;
+      expired++;
+    }
+
+    if (expired > 0) {
+      window.samples.splice(0, expired);
+    }
+  }
+
+  /**
+   * Get windowed metrics for a version. Counts and averages come from
+   * running totals; the p95 latency needs a sort of the window, so callers
+   * on the request path can accept one computed up to `maxLatencyAgeMs` ago.
+   * @param {string} version
+   * @param {Object} [options]
+   * @param {number} [options.maxLatencyAgeMs] - How old a cached p95 latency may be (default: always recompute)
+   * @returns {Object}
+   */
+  getMetrics(version, { maxLatencyAgeMs = 0 } = {}) {
+    this.prune(version);
+
+    const window = this.getWindow(version);
+    const requests = window.samples.length;
+
+    if (!window.p95 || Date.now() - window.p95.computedAt >= maxLatencyAgeMs) {
+      const latencies = window.samples.map(sample => sample.latency).sort((a, b) => a - b);
+      window.p95 = {
+        value: requests > 0 ? latencies[Math.min(requests - 1, Math.floor(requests * 0.95))] : 0,
+        computedAt: Date.now()
+      };
+    }
+
+    return {
+      requests,
+      errors: window.errors,
+      errorRate: requests > 0 ? window.errors / requests : 0,
+      avgLatency: requests > 0 ? Math.round(window.latencySum / requests) : 0,
+      p95Latency: window.p95.value
+    };
+  }
+
+  /**
+   * Get windowed metrics for every version seen so far
+   * @returns {Object}
+   */
+  getAllMetrics() {
+    const result = { windowMs: this.getWindowMs() };
+
+    for (const version of this.windows.keys()) {
+      result[version] = this.getMetrics(version);
+    }
+
+    return result;
+  }
+
+  /**
+   * Forget all samples
+   */
+  reset() {
+    this.windows.clear();
+  }
+}
+
+export default VersionMetrics;
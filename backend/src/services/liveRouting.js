@@ -0,0 +1,31 @@
+import PricingModel from '../models/PricingModel.js';
+import ConfigHistoryService from './ConfigHistoryService.js';
+import MaintenanceService from './MaintenanceService.js';
+import RoutingService from './RoutingService.js';
+import TrafficStats from './TrafficStats.js';
+import UpstreamHealthService from './UpstreamHealthService.js';
+
+// Revisions of the routing rules. Shared so sticky cookies carry the same
+// revision numbers the admin history reports.
+export const configHistory = new ConfigHistoryService();
+
+// The router that serves /pricing traffic. Shared so admin tools see the
+// same rollout and rollback state as live requests.
+const liveRouting = new RoutingService({
+  getConfigRevision: () => configHistory.getLatest()?.revision || 0
+});
+
+// Health of the upstream servers used in reverse-proxy mode
+export const upstreamHealth = new UpstreamHealthService();
+
+// Pricing data cache shared by /pricing and the admin cache endpoints
+export const pricingModel = new PricingModel();
+
+// Maintenance mode of /pricing, toggled from the admin API
+export const maintenance = new MaintenanceService(pricingModel);
+
+// Requests served per version, from /pricing and the reverse proxy alike,
+// feeding /pricing/stats and automatic rollback
+export const trafficStats = new TrafficStats(liveRouting, pricingModel);
+
+export default liveRouting;
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cidrToRange, ipToNumber } from './ipUtils.js';
+import { logInfo } from './log.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Database paths in routing-rules.json are relative to the pricing data directory
+const DATA_DIR = path.join(__dirname, '../data');
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// Loaded databases by absolute path
+const databases = new Map();
+
+/**
+ * Resolve a database path from routing-rules.json
+ * @param {string} file
+ * @returns {string} Absolute path
+ */
+export const resolveGeoIpPath = (file) => path.resolve(DATA_DIR, file);
+
+/**
+ * Parse one CSV line: "start,end,country" (the DB-IP country lite layout)
+ * or "network,country" with an address or CIDR block
+ * @param {string} line
+ * @returns {Object|null} { family, start, end, country }, or null for headers and comments
+ */
+const parseLine = (line) => {
+  const columns = line.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+  const country = columns[columns.length - 1]?.toUpperCase();
+
+  if (!COUNTRY_PATTERN.test(country)) {
+    return null;
+  }
+
+  if (columns.length === 2) {
+    const range = cidrToRange(columns[0]);
+    return range && { ...range, country };
+  }
+
+  const start = ipToNumber(columns[0]);
+  const end = ipToNumber(columns[1]);
+  if (!start || !end || start.family !== end.family || start.value > end.value) {
+    return null;
+  }
+
+  return { family: start.family, start: start.value, end: end.value, country };
+};
+
+/**
+ * Load a GeoIP CSV database in the background, keeping the loaded copy
+ * when the file has not changed since
+ * @param {string} file - Path relative to the pricing data directory, or absolute
+ * @returns {Promise<Object>} Database status
+ */
+export const loadGeoIpDatabase = async (file) => {
+  const filePath = resolveGeoIpPath(file);
+  const current = databases.get(filePath);
+
+  try {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (current?.mtimeMs === mtimeMs && current.status !== 'failed') {
+      return getGeoIpStatus(file);
+    }
+
+    if (!current) {
+      databases.set(filePath, { status: 'loading', mtimeMs: null });
+    }
+
+    const startTime = Date.now();
+    const ranges = { 4: [], 6: [] };
+    let skippedLines = 0;
+
+    for (const line of (await fs.promises.readFile(filePath, 'utf8')).split(/\r?\n/)) {
+      if (!line.trim() || line.startsWith('#')) continue;
+
+      const range = parseLine(line);
+      if (range) {
+        ranges[range.family].push(range);
+      } else {
+        skippedLines++;
+      }
+    }
+
+    for (const list of Object.values(ranges)) {
+      list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+
+    databases.set(filePath, {
+      status: 'loaded',
+      mtimeMs,
+      ranges,
+      skippedLines,
+      loadedAt: new Date().toISOString()
+    });
+
+    logInfo(`[GEO] Loaded ${ranges[4].length + ranges[6].length} ranges from ${path.basename(filePath)} ` +
+                `in ${Date.now() - startTime}ms (${skippedLines} lines skipped)`);
+  } catch (error) {
+    console.error(`[GEO] Cannot load GeoIP database ${filePath}:`, error.message);
+
+    // A database that loaded before keeps serving lookups
+    if (current?.status !== 'loaded') {
+      databases.set(filePath, { status: 'failed', mtimeMs: null, error: error.message });
+    }
+  }
+
+  return getGeoIpStatus(file);
+};
+
+/**
+ * Look up the country of an address. Returns null while the database
+ * is still loading or failed to load.
+ * @param {string} file - Database path as configured
+ * @param {string} ip
+ * @returns {string|null} ISO 3166-1 alpha-2 country code
+ */
+export const lookupCountry = (file, ip) => {
+  const database = databases.get(resolveGeoIpPath(file));
+  const address = ipToNumber(ip);
+
+  if (database?.status !== 'loaded' || !address) {
+    return null;
+  }
+
+  // Binary search for the last range starting at or before the address
+  const ranges = database.ranges[address.family];
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (ranges[middle].start <= address.value) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const range = ranges[high];
+  return range && address.value <= range.end ? range.country : null;
+};
+
+/**
+ * Describe a database's load state
+ * @param {string} file - Database path as configured
+ * @returns {Object} { file, status, ranges, skippedLines, loadedAt, error }
+ */
+export const getGeoIpStatus = (file) => {
+  const database = databases.get(resolveGeoIpPath(file));
+
+  return {
+    file,
+    status: database?.status || 'not-loaded',
+    ranges: database?.ranges ? database.ranges[4].length + database.ranges[6].length : 0,
+    skippedLines: database?.skippedLines ?? null,
+    loadedAt: database?.loadedAt || null,
+    error: database?.error || null
+  };
+};
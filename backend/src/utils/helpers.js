@@ -1,5 +1,7 @@
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { normalizeIp } from './ipUtils.js';
 
 /**
  * Generate a unique request ID
@@ -43,17 +45,14 @@ export const getPercentageFromHash = (input) => {
  * @returns {string}
  */
 export const sanitizeIp = (ip) => {
-  if (!ip) return '0.0.0.0';
-  
-  // Remove IPv6 prefix if present
-  if (ip.startsWith('::ffff:')) {
-    return ip.substring(7);
-  }
+  // Strips the IPv4-mapped prefix, brackets and zone IDs
+  const normalized = normalizeIp(ip);
+  if (!normalized) return '0.0.0.0';
   
   // Handle localhost variations
-  if (ip === '::1') return '127.0.0.1';
+  if (normalized === '::1') return '127.0.0.1';
   
-  return ip;
+  return normalized;
 };
 
 /**
@@ -93,12 +92,20 @@ export const formatResponseTime = (startTime) => {
 };
 
 /**
- * Validate version string
+ * Get the names of all registered versions
+ * @returns {Array<string>}
+ */
+export const getVersionNames = () => {
+  return config.versions.map(version => version.name);
+};
+
+/**
+ * Validate version string against the registered versions
  * @param {string} version 
  * @returns {boolean}
  */
 export const isValidVersion = (version) => {
-  return ['blue', 'green'].includes(version);
+  return getVersionNames().includes(version);
 };
 
 /**
@@ -125,6 +132,61 @@ export const deepClone = (obj) => {
   return JSON.parse(JSON.stringify(obj));
 };
 
+/**
+ * Apply a JSON merge patch (RFC 7396): objects merge recursively,
+ * arrays and scalars replace, and null removes a key
+ * @param {*} target 
+ * @param {*} patch 
+ * @returns {*} A new patched value
+ */
+export const mergePatch = (target, patch) => {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target)
+    ? { ...target }
+    : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * List the differences between two JSON values. Objects are compared key
+ * by key; arrays and scalars are compared as whole values.
+ * @param {*} before 
+ * @param {*} after 
+ * @param {string} basePath - JSON path prefix
+ * @returns {Array<Object>} Changes as { path, op, from, to }
+ */
+export const diffObjects = (before, after, basePath = '$') => {
+  const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => {
+      const path = `${basePath}.${key}`;
+      if (!(key in after)) return [{ path, op: 'removed', from: before[key] }];
+      if (!(key in before)) return [{ path, op: 'added', to: after[key] }];
+      return diffObjects(before[key], after[key], path);
+    });
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{ path: basePath, op: 'changed', from: before, to: after }];
+};
+
 /**
  * Check if object is empty
  * @param {Object} obj 
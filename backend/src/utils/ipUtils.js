@@ -0,0 +1,184 @@
+import net from 'net';
+
+/**
+ * Normalize an IP address string: strip brackets, zone IDs and the
+ * IPv4-mapped IPv6 prefix, and lowercase IPv6 addresses
+ * @param {string} ip
+ * @returns {string|null} Normalized address, or null if not an IP
+ */
+export const normalizeIp = (ip) => {
+  if (!ip || typeof ip !== 'string') return null;
+
+  let address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0].toLowerCase();
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 client itself
+  const mapped = address.match(/^(?:0{0,4}:){0,5}:?ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    address = mapped[1];
+  }
+
+  return net.isIP(address) ? address : null;
+};
+
+/**
+ * Convert an IPv4 address to its 4 bytes
+ * @param {string} ip
+ * @returns {Array<number>}
+ */
+const ipv4ToBytes = (ip) => ip.split('.').map(Number);
+
+/**
+ * Convert an IPv6 address (including embedded IPv4 tails) to its 16 bytes
+ * @param {string} ip
+ * @returns {Array<number>}
+ */
+const ipv6ToBytes = (ip) => {
+  let address = ip;
+  const tail = [];
+
+  const embedded = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    tail.push(...ipv4ToBytes(embedded[1]));
+    address = address.slice(0, -embedded[1].length) + '0:0';
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+  const missing = 8 - headGroups.length - restGroups.length;
+  const groups = rest !== undefined
+    ? [...headGroups, ...Array(missing).fill('0'), ...restGroups]
+    : headGroups;
+
+  const bytes = groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+
+  if (tail.length > 0) {
+    bytes.splice(12, 4, ...tail);
+  }
+
+  return bytes;
+};
+
+/**
+ * Convert a normalized address to bytes
+ * @param {string} ip
+ * @returns {Array<number>}
+ */
+const toBytes = (ip) => (net.isIPv4(ip) ? ipv4ToBytes(ip) : ipv6ToBytes(ip));
+
+/**
+ * Parse an IP address or CIDR block ("10.0.0.0/8", "2001:db8::/32")
+ * @param {string} entry
+ * @returns {Object|null} { bytes, prefix } or null if invalid
+ */
+export const parseCidr = (entry) => {
+  if (typeof entry !== 'string') return null;
+
+  const [address, prefixPart] = entry.trim().split('/');
+  const ip = normalizeIp(address);
+  if (!ip) return null;
+
+  const bytes = toBytes(ip);
+  const maxPrefix = bytes.length * 8;
+
+  // A mapped IPv6 CIDR (::ffff:10.0.0.0/104) becomes the equivalent IPv4 block
+  let prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+  if (prefixPart !== undefined && net.isIPv6(address.replace(/^\[|\]$/g, '')) && bytes.length === 4) {
+    prefix -= 96;
+  }
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  return { bytes, prefix };
+};
+
+/**
+ * Check whether an address falls inside a parsed CIDR block
+ * @param {Array<number>} bytes - Address bytes
+ * @param {Object} block - Result of parseCidr
+ * @returns {boolean}
+ */
+const inBlock = (bytes, block) => {
+  if (bytes.length !== block.bytes.length) return false;
+
+  const fullBytes = Math.floor(block.prefix / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (bytes[i] !== block.bytes[i]) return false;
+  }
+
+  const remainingBits = block.prefix % 8;
+  if (remainingBits === 0) return true;
+
+  const mask = (0xff << (8 - remainingBits)) & 0xff;
+  return (bytes[fullBytes] & mask) === (block.bytes[fullBytes] & mask);
+};
+
+// Parsed IP lists, keyed by the config array they came from
+const compiledLists = new WeakMap();
+
+/**
+ * Check whether an IP matches any address or CIDR block in a list
+ * @param {string} ip
+ * @param {Array<string>} list
+ * @returns {boolean}
+ */
+export const ipMatchesList = (ip, list = []) => {
+  const address = normalizeIp(ip);
+  if (!address || !Array.isArray(list) || list.length === 0) return false;
+
+  if (!compiledLists.has(list)) {
+    compiledLists.set(list, list.map(parseCidr).filter(Boolean));
+  }
+
+  const bytes = toBytes(address);
+  return compiledLists.get(list).some(block => inBlock(bytes, block));
+};
+
+/**
+ * Check whether a string is a valid IP address or CIDR block
+ * @param {string} entry
+ * @returns {boolean}
+ */
+export const isValidIpOrCidr = (entry) => parseCidr(entry) !== null;
+
+/**
+ * Convert an IP address to a number, for range comparisons
+ * @param {string} ip
+ * @returns {Object|null} { family, value } with a BigInt value, or null if not an IP
+ */
+export const ipToNumber = (ip) => {
+  const address = normalizeIp(ip);
+  if (!address) return null;
+
+  const bytes = toBytes(address);
+  return {
+    family: bytes.length === 4 ? 4 : 6,
+    value: bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n)
+  };
+};
+
+/**
+ * Get the first and last address of a CIDR block as numbers
+ * @param {string} entry - Address or CIDR block
+ * @returns {Object|null} { family, start, end } with BigInt bounds, or null if invalid
+ */
+export const cidrToRange = (entry) => {
+  const block = parseCidr(entry);
+  if (!block) return null;
+
+  const bits = BigInt(block.bytes.length * 8);
+  const hostBits = bits - BigInt(block.prefix);
+  const base = block.bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  const start = (base >> hostBits) << hostBits;
+
+  return {
+    family: block.bytes.length === 4 ? 4 : 6,
+    start,
+    end: start | ((1n << hostBits) - 1n)
+  };
+};
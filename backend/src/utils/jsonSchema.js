@@ -0,0 +1,120 @@
+/**
+ * A small JSON Schema validator covering the keywords our schemas use:
+ * type, enum, required, properties, additionalProperties, items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum, maximum and format
+ * (date, date-time).
+ */
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(new Date(value).getTime())
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check a value against a type name; integers are numbers too
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+const isType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+/**
+ * Append a property or index to a JSON path
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+export const joinPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - JSON path of the value (default `$`)
+ * @returns {Array<Object>} { path, message } per problem, empty when valid
+ */
+export const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      fail(`must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.patternMessage || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a ${schema.format} (ISO 8601)`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, joinPath(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail('is required', joinPath(path, key));
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        fail(`is not a known field (expected one of: ${Object.keys(schema.properties || {}).join(', ')})`, joinPath(path, key));
+      }
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,21 @@
+import { format } from 'util';
+
+// Where informational service logs go. Command-line scripts send them to
+// stderr so their stdout only carries the report.
+let infoStream = process.stdout;
+
+/**
+ * Write an informational log line, formatted like console.log
+ * @param {...*} args
+ */
+export const logInfo = (...args) => {
+  infoStream.write(`${format(...args)}\n`);
+};
+
+/**
+ * Send informational logs to another stream
+ * @param {stream.Writable} stream - e.g. process.stderr
+ */
+export const setInfoLogStream = (stream) => {
+  infoStream = stream;
+};
@@ -0,0 +1,43 @@
+import config from '../config/index.js';
+import { createSignature, verifySignature } from './signing.js';
+
+/**
+ * Create a signed preview token for a version
+ * @param {string} version 
+ * @param {number} ttl - Lifetime in ms
+ * @returns {Object} { token, expiresAt }
+ */
+export const createPreviewToken = (version, ttl = config.previewLinks.defaultTtl) => {
+  const { secret } = config.previewLinks;
+
+  if (!secret) {
+    throw new Error('PREVIEW_TOKEN_SECRET is not configured');
+  }
+
+  const expiresAt = Date.now() + ttl;
+  return {
+    token: `${expiresAt}.${createSignature(`${version}.${expiresAt}`, secret)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+};
+
+/**
+ * Verify a preview token: signed for this version and not expired
+ * @param {string} version 
+ * @param {string} token 
+ * @returns {boolean}
+ */
+export const verifyPreviewToken = (version, token) => {
+  const { secret } = config.previewLinks;
+
+  if (!secret || typeof token !== 'string') {
+    return false;
+  }
+
+  const [expiresAt, signature] = token.split('.');
+  if (!(parseInt(expiresAt) > Date.now())) {
+    return false;
+  }
+
+  return verifySignature(`${version}.${expiresAt}`, signature, [secret]);
+};
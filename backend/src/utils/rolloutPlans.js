@@ -0,0 +1,37 @@
+// How a rollout plan advances: by elapsed time or by percentage-routed requests
+export const STEP_TYPES = ['time', 'requests'];
+
+/**
+ * Validate a rollout plan definition
+ * @param {Object} definition - { baseVersion, targetVersion, steps, stepType, stepInterval }
+ * @param {Function} isKnownVersion - Whether a version name is registered
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export const validateRolloutPlan = (definition, isKnownVersion) => {
+  const errors = [];
+  const { targetVersion, baseVersion, steps, stepType, stepInterval } = definition || {};
+
+  if (!isKnownVersion(targetVersion)) {
+    errors.push(`Unknown targetVersion: ${targetVersion}`);
+  }
+  if (!isKnownVersion(baseVersion)) {
+    errors.push(`Unknown baseVersion: ${baseVersion}`);
+  }
+  if (targetVersion && targetVersion === baseVersion) {
+    errors.push('targetVersion and baseVersion must differ');
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push('steps must be a non-empty array of percentages');
+  } else if (steps.some((step, i) => typeof step !== 'number' || step < 0 || step > 100 ||
+                                      (i > 0 && step <= steps[i - 1]))) {
+    errors.push('steps must be increasing percentages between 0 and 100');
+  }
+  if (!STEP_TYPES.includes(stepType)) {
+    errors.push(`stepType must be one of: ${STEP_TYPES.join(', ')}`);
+  }
+  if (!(stepInterval > 0)) {
+    errors.push('stepInterval must be a positive number');
+  }
+
+  return errors;
+};
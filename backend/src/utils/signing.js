@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+/**
+ * Sign a payload with HMAC-SHA256
+ * @param {string} payload 
+ * @param {string} secret 
+ * @returns {string} base64url signature
+ */
+export const createSignature = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+/**
+ * Verify a signature against one or more secrets (newest first, to allow rotation)
+ * @param {string} payload 
+ * @param {string} signature 
+ * @param {Array<string>} secrets 
+ * @returns {boolean}
+ */
+export const verifySignature = (payload, signature, secrets = []) => {
+  if (typeof signature !== 'string' || signature.length === 0) {
+    return false;
+  }
+
+  const provided = Buffer.from(signature);
+  return secrets.some(secret => {
+    const expected = Buffer.from(createSignature(payload, secret));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+};
@@ -0,0 +1,48 @@
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a simulated request description
+ * @param {Object} input - { ip, headers, cookies, query, at }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export const validateSimulatedRequest = (input) => {
+  if (!isObject(input)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (input.ip !== undefined && typeof input.ip !== 'string') {
+    errors.push('ip must be a string');
+  }
+  for (const field of ['headers', 'cookies', 'query']) {
+    if (input[field] !== undefined && !isObject(input[field])) {
+      errors.push(`${field} must be an object of name/value pairs`);
+    }
+  }
+  if (input.at !== undefined && isNaN(new Date(input.at).getTime())) {
+    errors.push('at must be an ISO timestamp');
+  }
+
+  return errors;
+};
+
+/**
+ * Build a request-like object the routing rules can evaluate
+ * @param {Object} input - { ip, headers, cookies, query }
+ * @returns {Object}
+ */
+export const buildSimulatedRequest = ({ ip, headers = {}, cookies = {}, query = {} } = {}) => {
+  // Node lowercases incoming header names; mirror that for lookups
+  const normalizedHeaders = Object.entries(headers).reduce((result, [name, value]) => {
+    result[name.toLowerCase()] = String(value);
+    return result;
+  }, {});
+
+  return {
+    ip,
+    headers: normalizedHeaders,
+    cookies: { ...cookies },
+    query: { ...query }
+  };
+};
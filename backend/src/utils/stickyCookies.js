@@ -0,0 +1,41 @@
+import config from '../config/index.js';
+import { createSignature, verifySignature } from './signing.js';
+
+/**
+ * Build a signed sticky session cookie value
+ * (`<version>.<assignedAt>.<revision>.<signature>`)
+ * @param {string} version
+ * @param {number} revision - Routing config revision the assignment was made under
+ * @returns {string}
+ */
+export const createStickyValue = (version, revision) => {
+  const payload = `${version}.${Date.now()}.${revision}`;
+  return `${payload}.${createSignature(payload, config.stickySessionSigning.secrets[0])}`;
+};
+
+/**
+ * Parse and verify a sticky session cookie value against every accepted secret
+ * @param {string} value
+ * @returns {Object|null} { version, assignedAt, revision }, or null if unsigned or tampered with
+ */
+export const parseStickyValue = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  // Read from the right so version names may contain dots
+  const parts = value.split('.');
+  if (parts.length < 4) {
+    return null;
+  }
+
+  const signature = parts.pop();
+  const payload = parts.join('.');
+  if (!verifySignature(payload, signature, config.stickySessionSigning.secrets)) {
+    return null;
+  }
+
+  const revision = parts.pop();
+  const assignedAt = parseInt(parts.pop());
+  return { version: parts.join('.'), assignedAt, revision };
+};
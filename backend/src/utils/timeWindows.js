@@ -0,0 +1,232 @@
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Weekly schedules repeat, so any change happens within eight days
+const CHANGE_HORIZON = 8 * 24 * HOUR;
+
+const formatters = new Map();
+
+/**
+ * Read the weekday and wall-clock time at an instant in a time zone
+ * @param {Date} now
+ * @param {string} [timezone] - IANA time zone (default UTC)
+ * @returns {Object} { weekday, clock, minutes } e.g. { weekday: 'mon', clock: '09:30', minutes: 570 }
+ */
+export const getWallClock = (now, timezone = 'UTC') => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = formatters.get(timezone).formatToParts(now)
+    .reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    clock: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+/**
+ * Check a time window: weekdays, a daily window and absolute bounds
+ * @param {Object} time - { days, from, to, after, before, timezone }
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const matchesTimeWindow = (time, now) => {
+  if (time.after && now < new Date(time.after)) return false;
+  if (time.before && now >= new Date(time.before)) return false;
+
+  const { weekday, clock } = getWallClock(now, time.timezone || 'UTC');
+
+  if (time.days && !time.days.includes(weekday)) {
+    return false;
+  }
+
+  if (time.from && time.to && time.from > time.to) {
+    // Window wraps past midnight (e.g. 22:00-06:00)
+    return clock >= time.from || clock < time.to;
+  }
+  if (time.from && clock < time.from) return false;
+  if (time.to && clock >= time.to) return false;
+
+  return true;
+};
+
+/**
+ * Validate a time window
+ * @param {Object} time
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>}
+ */
+export const validateTimeWindow = (time, path) => {
+  const errors = [];
+
+  if (!time || typeof time !== 'object') {
+    return [`${path} must be an object`];
+  }
+  if (time.days && (!Array.isArray(time.days) || time.days.some(day => !DAYS.includes(day)))) {
+    errors.push(`${path}.days must list days as ${DAYS.join(', ')}`);
+  }
+  for (const field of ['from', 'to']) {
+    if (time[field] !== undefined && !TIME_PATTERN.test(time[field])) {
+      errors.push(`${path}.${field} must be a HH:MM time`);
+    }
+  }
+  for (const field of ['after', 'before']) {
+    if (time[field] !== undefined && isNaN(new Date(time[field]).getTime())) {
+      errors.push(`${path}.${field} must be an ISO timestamp`);
+    }
+  }
+  if (time.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: time.timezone });
+    } catch (error) {
+      errors.push(`${path}.timezone is not a known time zone: ${time.timezone}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Whether a schedule is active: inside its start/end bounds and, when it
+ * has weekly windows, inside one of them
+ * @param {Object} schedule - { start, end, timezone, weekly: [{ days, from, to }] }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isScheduleActive = (schedule, now = new Date()) => {
+  const { start, end, timezone, weekly } = schedule;
+
+  if (!matchesTimeWindow({ after: start, before: end, timezone }, now)) {
+    return false;
+  }
+
+  return !weekly?.length || weekly.some(window => matchesTimeWindow({ ...window, timezone }, now));
+};
+
+/**
+ * Find when a schedule next switches on or off, to the minute
+ * @param {Object} schedule
+ * @param {Date} [now]
+ * @returns {Object|null} { at, active } with the state after the change, or null if it never changes
+ */
+export const getNextScheduleChange = (schedule, now = new Date()) => {
+  const start = schedule.start ? new Date(schedule.start).getTime() : null;
+  const end = schedule.end ? new Date(schedule.end).getTime() : null;
+  const initial = isScheduleActive(schedule, now);
+  let from = now.getTime();
+
+  if (end !== null && from >= end) {
+    return null;
+  }
+  if (start !== null && from < start) {
+    if (isScheduleActive(schedule, new Date(start))) {
+      return { at: new Date(start).toISOString(), active: true };
+    }
+    from = start;
+  }
+
+  const change = findWeeklyChange(schedule, from, initial);
+  if (end !== null && (change === null || change >= end)) {
+    // Reaching the end only changes anything for an active schedule
+    return initial ? { at: new Date(end).toISOString(), active: false } : null;
+  }
+
+  return change === null ? null : { at: new Date(change).toISOString(), active: !initial };
+};
+
+/**
+ * Scan forward an hour at a time for the first minute a schedule's weekly
+ * windows flip away from `initial`. Only the minutes where a window opens or
+ * closes, or a day starts, are checked inside each hour.
+ * @param {Object} schedule
+ * @param {number} from - Epoch ms to scan from
+ * @param {boolean} initial - State to look for a change from
+ * @returns {number|null} Epoch ms of the change
+ */
+const findWeeklyChange = (schedule, from, initial) => {
+  const { timezone = 'UTC', weekly } = schedule;
+  if (!weekly?.length) {
+    return null;
+  }
+
+  const toMinutes = (clock) => parseInt(clock.slice(0, 2)) * 60 + parseInt(clock.slice(3));
+  const boundaries = [...new Set([0, ...weekly.flatMap(({ from: open, to: close }) =>
+    [open, close].filter(Boolean).map(toMinutes))])];
+  const differs = (time) => isScheduleActive(schedule, new Date(time)) !== initial;
+
+  let time = Math.floor(from / MINUTE) * MINUTE;
+  for (const limit = from + CHANGE_HORIZON; time < limit; time += HOUR) {
+    const { minutes } = getWallClock(new Date(time), timezone);
+    const offsets = boundaries
+      .map(boundary => (boundary - minutes + 1440) % 1440)
+      .filter(offset => offset > 0 && offset <= 60)
+      .sort((a, b) => a - b);
+
+    for (const offset of offsets) {
+      if (differs(time + offset * MINUTE)) {
+        return time + offset * MINUTE;
+      }
+    }
+
+    // Daylight saving jumps can move a boundary out of the hour; find it by the minute
+    if (differs(time + HOUR)) {
+      for (let minute = time + MINUTE; minute <= time + HOUR; minute += MINUTE) {
+        if (differs(minute)) return minute;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a schedule
+ * @param {Object} schedule
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>}
+ */
+export const validateSchedule = (schedule, path) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return [`${path} must be an object`];
+  }
+
+  const { start, end, timezone, weekly } = schedule;
+  const errors = validateTimeWindow({ after: start, before: end, timezone }, path)
+    .map(error => error.replace(`${path}.after`, `${path}.start`).replace(`${path}.before`, `${path}.end`));
+
+  if (errors.length === 0 && start && end && new Date(start) >= new Date(end)) {
+    errors.push(`${path}.start must be before ${path}.end`);
+  }
+
+  if (weekly !== undefined) {
+    if (!Array.isArray(weekly) || weekly.length === 0) {
+      errors.push(`${path}.weekly must be a non-empty array of { days, from, to } windows`);
+    } else {
+      weekly.forEach((window, i) => {
+        const windowPath = `${path}.weekly[${i}]`;
+        if (window && typeof window === 'object' &&
+            Object.keys(window).some(key => !['days', 'from', 'to'].includes(key))) {
+          errors.push(`${windowPath} may only have days, from and to`);
+        }
+        errors.push(...validateTimeWindow(window, windowPath));
+      });
+    }
+  }
+
+  if (start === undefined && end === undefined && weekly === undefined) {
+    errors.push(`${path} needs a start, an end or weekly windows`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,37 @@
+export const DEVICE_TYPES = ['mobile', 'tablet', 'desktop'];
+export const BROWSER_FAMILIES = ['edge', 'opera', 'samsung', 'firefox', 'chrome', 'safari', 'other'];
+
+const BOT_PATTERN = /bot|crawler|spider|crawling|slurp|bingpreview|facebookexternalhit|mediapartners|lighthouse|headless/i;
+const TABLET_PATTERN = /ipad|tablet|playbook|silk|kindle|android(?!.*mobile)/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android.*mobile|windows phone|blackberry|opera mini/i;
+
+// Checked in order: several browsers also advertise "Chrome" or "Safari"
+const BROWSER_PATTERNS = [
+  ['edge', /edg(e|a|ios)?\//i],
+  ['opera', /opr\/|opera/i],
+  ['samsung', /samsungbrowser/i],
+  ['firefox', /firefox|fxios/i],
+  ['chrome', /chrome|crios|chromium/i],
+  ['safari', /safari/i]
+];
+
+/**
+ * Classify a User-Agent string
+ * @param {string} userAgent 
+ * @returns {Object} { isBot, deviceType, browser }
+ */
+export const classifyUserAgent = (userAgent = '') => {
+  const ua = userAgent || '';
+  const isBot = BOT_PATTERN.test(ua);
+
+  let deviceType = 'desktop';
+  if (TABLET_PATTERN.test(ua)) {
+    deviceType = 'tablet';
+  } else if (MOBILE_PATTERN.test(ua)) {
+    deviceType = 'mobile';
+  }
+
+  const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(ua))?.[0] || 'other';
+
+  return { isBot, deviceType, browser };
+};
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import config from '../src/config/index.js';
+import FileStore from '../src/models/storage/FileStore.js';
+
+const version = 'green';
+const pricingFile = config.versions.find(({ name }) => name === version).pricingFile;
+
+/**
+ * Build a pricing document whose title tells it apart
+ * @param {string} title
+ * @returns {Object}
+ */
+const pricing = (title) => ({ title, plans: [] });
+
+describe('FileStore', () => {
+  let dataDir;
+  let store;
+  const file = (slot = '') => path.join(dataDir, slot ? pricingFile.replace(/\.json$/, `.${slot}.json`) : pricingFile);
+  const readTitle = (slot) => JSON.parse(fs.readFileSync(file(slot), 'utf8')).title;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+    store = new FileStore({ dataDir });
+    await store.write(version, pricing('live'));
+    await store.write(version, pricing('draft'), 'draft');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('publishes the draft and keeps the live document as the previous copy', async () => {
+    await store.publish(version);
+
+    assert.equal(readTitle(), 'draft');
+    assert.equal(readTitle('previous'), 'live');
+    assert.equal(fs.existsSync(file('draft')), false);
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), [pricingFile, path.basename(file('previous'))].sort());
+  });
+
+  it('swaps the published and previous copies on rollback', async () => {
+    await store.publish(version);
+    await store.rollback(version);
+
+    assert.equal(readTitle(), 'live');
+    assert.equal(readTitle('previous'), 'draft');
+  });
+
+  it('changes nothing when publishing fails before the commit', async () => {
+    await store.remove(version, 'draft');
+
+    await assert.rejects(store.publish(version));
+    assert.equal(readTitle(), 'live');
+    assert.equal(fs.existsSync(file('previous')), false);
+    assert.deepEqual(fs.readdirSync(dataDir), [pricingFile]);
+  });
+
+  it('completes a committed change on start', () => {
+    // As left by a crash right after the journal was committed
+    fs.writeFileSync(`${file()}.staged`, JSON.stringify(pricing('draft')));
+    fs.writeFileSync(`${file('previous')}.staged`, JSON.stringify(pricing('live')));
+    fs.writeFileSync(file('journal'), JSON.stringify({
+      renames: [[`${file()}.staged`, file()], [`${file('previous')}.staged`, file('previous')]],
+      removes: [file('draft')]
+    }));
+
+    new FileStore({ dataDir });
+
+    assert.equal(readTitle(), 'draft');
+    assert.equal(readTitle('previous'), 'live');
+    assert.equal(fs.existsSync(file('journal')), false);
+    assert.equal(fs.existsSync(file('draft')), false);
+  });
+
+  it('discards a change that was staged but never committed', () => {
+    fs.writeFileSync(`${file()}.staged`, JSON.stringify(pricing('draft')));
+
+    new FileStore({ dataDir });
+
+    assert.equal(readTitle(), 'live');
+    assert.equal(fs.existsSync(`${file()}.staged`), false);
+  });
+});
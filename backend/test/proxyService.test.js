@@ -0,0 +1,232 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import express from 'express';
+import config from '../src/config/index.js';
+import ProxyService from '../src/services/ProxyService.js';
+import RoutingService from '../src/services/RoutingService.js';
+import TrafficStats from '../src/services/TrafficStats.js';
+
+const TIMEOUT_MS = 200;
+const REQUEST_TIMEOUT_MS = 500;
+
+/**
+ * Start a server on a free local port
+ * @param {Function} handler - Request listener
+ * @returns {Promise<Object>} { server, url }
+ */
+const listen = (handler) => new Promise(resolve => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+/**
+ * Stop a server, dropping any connection still open
+ * @param {http.Server} server
+ * @returns {Promise<void>}
+ */
+const close = (server) => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(() => resolve());
+});
+
+/**
+ * Start a stub upstream that answers with its name and the path it received
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {boolean} [options.reset] - Drop every connection without answering
+ * @param {number} [options.delay] - Wait this long before answering
+ * @param {boolean} [options.trickle] - Send the headers, then a byte every TIMEOUT_MS / 2 without ever finishing
+ * @returns {Promise<Object>} { server, url, received }; each received request notes whether it was aborted
+ */
+const startUpstream = async (name, { reset = false, delay = 0, trickle = false } = {}) => {
+  const received = [];
+  const upstream = await listen((req, res) => {
+    const request = { method: req.method, path: req.url, aborted: false };
+    received.push(request);
+    res.on('close', () => {
+      request.aborted = !res.writableFinished;
+    });
+    if (reset) {
+      return req.socket.destroy();
+    }
+    if (trickle) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      const timer = setInterval(() => res.write('.'), TIMEOUT_MS / 2);
+      return res.on('close', () => clearInterval(timer));
+    }
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ upstream: name, path: req.url }));
+    }, delay);
+  });
+  return { ...upstream, received };
+};
+
+// Upstream health that is only changed by the tests
+class StubHealth {
+  constructor() {
+    this.unhealthy = new Set();
+  }
+
+  isHealthy(version) {
+    return !this.unhealthy.has(version);
+  }
+
+  recordSuccess() {}
+
+  recordFailure() {}
+}
+
+describe('ProxyService', () => {
+  const originalProxy = config.routing.proxy;
+  const originalUpstreams = new Map(config.versions.map(({ name, upstream }) => [name, upstream]));
+  let blue;
+  let proxy;
+  let closedUrl;
+  let health;
+  let trafficStats;
+
+  /**
+   * Point green at an upstream and send a request routed to green through the proxy
+   * @param {string} greenUrl
+   * @param {string} [method]
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Response>}
+   */
+  const requestGreen = (greenUrl, method = 'GET', { signal } = {}) => {
+    config.versions.find(({ name }) => name === 'green').upstream = greenUrl;
+    return fetch(`${proxy.url}/app/pricing?plan=basic`, { method, headers: { 'X-Version': 'green' }, signal });
+  };
+
+  before(async () => {
+    // A port nothing listens on, for refused connections
+    const unused = await listen(() => {});
+    closedUrl = unused.url;
+    await close(unused.server);
+
+    blue = await startUpstream('blue');
+    config.versions.find(({ name }) => name === 'blue').upstream = blue.url;
+    config.routing.proxy = { ...originalProxy, enabled: true, mountPath: '/app', timeoutMs: TIMEOUT_MS, requestTimeoutMs: REQUEST_TIMEOUT_MS, retryOnConnectionError: true };
+
+    const routingService = new RoutingService();
+    routingService.routingConfig.defaultVersion = 'blue';
+    health = new StubHealth();
+    trafficStats = new TrafficStats(routingService, { getAvailableVersions: () => ['blue', 'green'] });
+    const proxyService = new ProxyService(routingService, health, trafficStats);
+
+    const app = express();
+    app.use((req, res, next) => (proxyService.isProxiedRequest(req) ? proxyService.forward(req, res).catch(next) : next()));
+    proxy = await listen(app);
+  });
+
+  beforeEach(() => {
+    health.unhealthy.clear();
+    trafficStats.reset();
+  });
+
+  after(async () => {
+    config.routing.proxy = originalProxy;
+    for (const version of config.versions) {
+      version.upstream = originalUpstreams.get(version.name);
+    }
+    await close(proxy.server);
+    await close(blue.server);
+  });
+
+  it('forwards to the chosen version and reports it', async () => {
+    const green = await startUpstream('green');
+    const response = await requestGreen(green.url);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-version-served'), 'green');
+    assert.deepEqual(await response.json(), { upstream: 'green', path: '/pricing?plan=basic' });
+    await close(green.server);
+  });
+
+  it('counts proxied requests and their outcomes', async () => {
+    const green = await startUpstream('green');
+    const errorsBefore = trafficStats.versionMetrics.getMetrics('green').errors;
+    await requestGreen(green.url);
+    await requestGreen(closedUrl);
+
+    assert.equal(trafficStats.versionStats.green, 1);
+    assert.equal(trafficStats.versionStats.blue, 1);
+    assert.equal(trafficStats.versionMetrics.getMetrics('green').errors, errorsBefore + 1);
+    await close(green.server);
+  });
+
+  it('retries a refused connection against another version, whatever the method', async () => {
+    const response = await requestGreen(closedUrl, 'POST');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-version-served'), 'blue');
+  });
+
+  it('retries a reset connection for idempotent methods', async () => {
+    const green = await startUpstream('green', { reset: true });
+    const response = await requestGreen(green.url, 'PUT');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-version-served'), 'blue');
+    await close(green.server);
+  });
+
+  it('does not retry a reset connection for other methods', async () => {
+    const green = await startUpstream('green', { reset: true });
+    const blueRequests = blue.received.length;
+    const response = await requestGreen(green.url, 'POST');
+
+    assert.equal(response.status, 502);
+    assert.equal(green.received.length, 1);
+    assert.equal(blue.received.length, blueRequests);
+    await close(green.server);
+  });
+
+  it('sends requests for an unhealthy upstream to a healthy version', async () => {
+    const green = await startUpstream('green');
+    health.unhealthy.add('green');
+    const response = await requestGreen(green.url);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-version-served'), 'blue');
+    assert.equal(green.received.length, 0);
+    await close(green.server);
+  });
+
+  it('answers 504 when the upstream is too slow, without retrying', async () => {
+    const green = await startUpstream('green', { delay: TIMEOUT_MS * 3 });
+    const blueRequests = blue.received.length;
+    const response = await requestGreen(green.url);
+
+    assert.equal(response.status, 504);
+    assert.equal(blue.received.length, blueRequests);
+    await close(green.server);
+  });
+
+  it('cuts off a response that runs past the request timeout', async () => {
+    const green = await startUpstream('green', { trickle: true });
+    const response = await requestGreen(green.url);
+
+    assert.equal(response.status, 200);
+    await assert.rejects(response.text());
+    assert.equal(green.received[0].aborted, true);
+    await close(green.server);
+  });
+
+  it('aborts the upstream request when the client disconnects', async () => {
+    const green = await startUpstream('green', { delay: TIMEOUT_MS / 2 });
+    const requestsBefore = trafficStats.versionMetrics.getMetrics('green').requests;
+    const controller = new AbortController();
+    const response = requestGreen(green.url, 'GET', { signal: controller.signal });
+    setTimeout(() => controller.abort(), TIMEOUT_MS / 4);
+
+    await assert.rejects(response);
+    await new Promise(resolve => setTimeout(resolve, TIMEOUT_MS));
+    assert.equal(green.received.length, 1);
+    assert.equal(green.received[0].aborted, true);
+    assert.equal(trafficStats.versionMetrics.getMetrics('green').requests, requestsBefore);
+    await close(green.server);
+  });
+});
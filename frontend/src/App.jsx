@@ -24,7 +24,8 @@ function App() {
     refresh,
     clearError,
     routing,
-    metadata
+    metadata,
+    availableVersions
   } = usePricing({
     autoFetch: true,
     refreshInterval: null, // Set to a value like 30000 for auto-refresh every 30 seconds
@@ -231,20 +232,16 @@ function App() {
               )}
               
               <div className="debug-actions">
-                <button 
-                  onClick={() => handleForceVersion('blue')}
-                  className="debug-button blue"
-                  disabled={loading}
-                >
-                  Force Blue
-                </button>
-                <button 
-                  onClick={() => handleForceVersion('green')}
-                  className="debug-button green"
-                  disabled={loading}
-                >
-                  Force Green
-                </button>
+                {availableVersions.map(({ name, label }) => (
+                  <button 
+                    key={name}
+                    onClick={() => handleForceVersion(name)}
+                    className={`debug-button version ${name}`}
+                    disabled={loading}
+                  >
+                    Force {label}
+                  </button>
+                ))}
                 <button 
                   onClick={handleRefresh}
                   className="debug-button refresh"
@@ -10,7 +10,7 @@ const Header = ({
   routing = null 
 }) => {
   const getVersionBadgeColor = (ver) => {
-    return ver === 'blue' ? 'version-badge-blue' : 'version-badge-green';
+    return `version-badge-${ver}`;
   };
 
   const formatTimestamp = (timestamp) => {
@@ -11,6 +11,7 @@ const usePricing = (options = {}) => {
     version: null,
     retryCount: 0
   });
+  const [availableVersions, setAvailableVersions] = useState([]);
 
   const fetchPricing = useCallback(async (specificVersion = null) => {
     console.log('[usePricing] fetchPricing called', { specificVersion });
@@ -20,8 +21,14 @@ const usePricing = (options = {}) => {
     try {
       console.log('[usePricing] Calling apiService.getPricing...');
       
-      const endpoint = specificVersion ? `/pricing/version/${specificVersion}` : '/pricing';
-      const result = await apiService.getPricing({ url: endpoint });
+      const endpoint = specificVersion
+        ? `/pricing/version/${encodeURIComponent(specificVersion)}`
+        : '/pricing';
+      // Forward the page's query string so preview links (?version=...&token=...) reach the API
+      const params = specificVersion
+        ? undefined
+        : Object.fromEntries(new URLSearchParams(window.location.search));
+      const result = await apiService.getPricing({ url: endpoint, params });
       
       console.log('[usePricing] Got result:', result);
       
@@ -60,13 +67,28 @@ const usePricing = (options = {}) => {
     }
   }, [retryOnError, maxRetries, state.retryCount]);
 
+  const fetchVersions = useCallback(async () => {
+    try {
+      const result = await apiService.getVersions();
+      setAvailableVersions(result.data.versions || []);
+      return result.data.versions;
+    } catch (error) {
+      console.error('[usePricing] Failed to load versions:', error);
+      return [];
+    }
+  }, []);
+
   const fetchSpecificVersion = useCallback(async (version) => {
-    if (!version || !['blue', 'green'].includes(version)) {
+    // Until the version list has loaded, let the backend reject unknown versions
+    const isKnown = availableVersions.length === 0 ||
+      availableVersions.some(({ name }) => name === version);
+
+    if (!version || !isKnown) {
       console.error('[usePricing] Invalid version:', version);
       return;
     }
     return fetchPricing(version);
-  }, [fetchPricing]);
+  }, [fetchPricing, availableVersions]);
 
   const refresh = useCallback(() => {
     console.log('[usePricing] Refreshing data...');
@@ -86,6 +108,11 @@ const usePricing = (options = {}) => {
     }
   }, [autoFetch, fetchPricing]);
 
+  // Load the registered versions once
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
   // Auto-refresh interval
   useEffect(() => {
     if (!refreshInterval || refreshInterval <= 0) return;
@@ -109,6 +136,7 @@ const usePricing = (options = {}) => {
     version: state.version,
     routing: state.data?.routing,
     metadata: state.data?.metadata,
+    availableVersions,
     
     // State flags
     loading: state.loading,
@@ -120,6 +148,7 @@ const usePricing = (options = {}) => {
     // Actions
     fetchPricing,
     fetchSpecificVersion,
+    fetchVersions,
     refresh,
     clearError
   };
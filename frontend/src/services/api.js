@@ -108,19 +108,44 @@ class ApiService {
 
   /**
    * Get specific version pricing
-   * @param {string} version - 'blue' or 'green'
+   * @param {string} version - A version name registered on the backend
    * @returns {Promise<Object>} Pricing data for specific version
    */
   async getVersionPricing(version) {
-    if (!version || !['blue', 'green'].includes(version)) {
+    if (!version || typeof version !== 'string') {
       throw {
         success: false,
-        error: 'Invalid version. Must be "blue" or "green"',
+        error: 'Invalid version. Must be a non-empty version name',
         status: 400
       };
     }
     
-    return this.getPricing({ url: `/pricing/version/${version}` });
+    return this.getPricing({ url: `/pricing/version/${encodeURIComponent(version)}` });
+  }
+
+  /**
+   * Get the versions registered on the backend
+   * @returns {Promise<Object>} Version list and default version
+   */
+  async getVersions() {
+    try {
+      console.log('[getVersions] Fetching registered versions...');
+      const response = await apiClient.get('/pricing/versions');
+      console.log('[getVersions] Success:', response.data);
+      
+      return {
+        success: true,
+        data: response.data.data
+      };
+    } catch (error) {
+      console.error('[getVersions] Failed:', error);
+      throw {
+        success: false,
+        error: error.message || 'Failed to fetch versions',
+        status: error.status || 500,
+        isNetworkError: error.isNetworkError || false
+      };
+    }
   }
 
   /**